@@ -0,0 +1,24 @@
+import { recordOpeningBalances } from "../services/ledger.js";
+
+// Post opening-balance ledger entries for wallets that have no ledger entries yet. Wallets that already
+// have entries but do not match them are listed and left alone; they need to be investigated.
+async function backfill() {
+    try {
+        console.log("📒 Backfilling ledger opening balances...");
+        const { posted, skipped } = await recordOpeningBalances();
+        console.log(`✅ ${posted} opening balance(s) posted`);
+        if (skipped.length > 0) {
+            console.warn(`⚠️  ${skipped.length} wallet(s) already have ledger entries but do not match them:`);
+            for (const s of skipped) {
+                console.warn(`   user ${s.userId} (${s.username}): balance ${s.balance}, ledger ${s.ledgerBalance}, difference ${s.difference}`);
+            }
+            process.exit(1);
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Ledger backfill failed:", error);
+        process.exit(1);
+    }
+}
+
+backfill();
@@ -1,4 +1,4 @@
-import { mysqlTable, int, varchar, text, decimal, timestamp, mysqlEnum, boolean } from "drizzle-orm/mysql-core";
+import { mysqlTable, int, varchar, text, decimal, timestamp, mysqlEnum, boolean, unique, index } from "drizzle-orm/mysql-core";
 
 /* ================= USERS ================= */
 export const users = mysqlTable("users", {
@@ -7,7 +7,75 @@ export const users = mysqlTable("users", {
     email: varchar("email", { length: 255 }).notNull().unique(),
     password: varchar("password", { length: 255 }).notNull(),
     balance: decimal("balance", { precision: 10, scale: 2 }).default("0.00"),
-    role: mysqlEnum("role", ["user", "admin"]).default("user"),
+    // Name of a row in roles. "user" has no permissions, "admin" has all of them.
+    role: varchar("role", { length: 50 }).default("user"),
+    // Bumped to invalidate every access token issued before (logout everywhere, role change)
+    tokenVersion: int("token_version").notNull().default(0),
+    emailVerifiedAt: timestamp("email_verified_at"),
+    // TOTP secret, encrypted at rest. Set during enrollment, active once totpEnabledAt is set.
+    totpSecret: varchar("totp_secret", { length: 255 }),
+    totpEnabledAt: timestamp("totp_enabled_at"),
+    // Last accepted time step, so a code cannot be used twice
+    totpLastStep: int("totp_last_step"),
+    createdAt: timestamp("created_at").defaultNow(),
+});
+
+/* ================= ROLES ================= */
+// Assignable roles. permissions is a JSON array of permission names (see services/permissions.js).
+// System roles are created at startup and cannot be deleted.
+export const roles = mysqlTable("roles", {
+    id: int("id").primaryKey().autoincrement(),
+    name: varchar("name", { length: 50 }).notNull().unique(),
+    description: varchar("description", { length: 255 }),
+    permissions: text("permissions").notNull(),
+    isSystem: boolean("is_system").notNull().default(false),
+    createdAt: timestamp("created_at").defaultNow(),
+});
+
+/* ================= RECOVERY CODES ================= */
+// One-time 2FA backup codes, stored as SHA-256 hashes
+export const recoveryCodes = mysqlTable("recovery_codes", {
+    id: int("id").primaryKey().autoincrement(),
+    userId: int("user_id")
+        .notNull()
+        .references(() => users.id, { onDelete: "cascade" }),
+    codeHash: varchar("code_hash", { length: 64 }).notNull(),
+    usedAt: timestamp("used_at"),
+    createdAt: timestamp("created_at").defaultNow(),
+});
+
+/* ================= REFRESH TOKENS ================= */
+// Rotating refresh tokens. Each login starts a family; every refresh replaces the token with a new one
+// in the same family, and presenting a replaced token revokes the whole family.
+export const refreshTokens = mysqlTable("refresh_tokens", {
+    id: int("id").primaryKey().autoincrement(),
+    userId: int("user_id")
+        .notNull()
+        .references(() => users.id, { onDelete: "cascade" }),
+    familyId: varchar("family_id", { length: 36 }).notNull(),
+    // SHA-256 of the token, the token itself is never stored
+    tokenHash: varchar("token_hash", { length: 64 }).notNull().unique(),
+    expiresAt: timestamp("expires_at").notNull(),
+    revokedAt: timestamp("revoked_at"),
+    replacedById: int("replaced_by_id"),
+    userAgent: varchar("user_agent", { length: 255 }),
+    ip: varchar("ip", { length: 64 }),
+    // The session passed the second factor, carried over to tokens issued on refresh
+    mfa: boolean("mfa").notNull().default(false),
+    createdAt: timestamp("created_at").defaultNow(),
+});
+
+/* ================= USER TOKENS ================= */
+// One-time tokens sent by email. Only the SHA-256 hash is stored.
+export const userTokens = mysqlTable("user_tokens", {
+    id: int("id").primaryKey().autoincrement(),
+    userId: int("user_id")
+        .notNull()
+        .references(() => users.id, { onDelete: "cascade" }),
+    purpose: mysqlEnum("purpose", ["email_verification", "password_reset"]).notNull(),
+    tokenHash: varchar("token_hash", { length: 64 }).notNull().unique(),
+    expiresAt: timestamp("expires_at").notNull(),
+    usedAt: timestamp("used_at"),
     createdAt: timestamp("created_at").defaultNow(),
 });
 
@@ -26,9 +94,55 @@ export const questions = mysqlTable("questions", {
     gridData: text("grid_data"),
     difficulty: int("difficulty").default(1),
     questionOrder: int("question_order").default(0),
+    // Latest row in question_revisions
+    currentRevisionId: int("current_revision_id"),
+    // Set instead of deleting a question that has revisions or answers, so published versions and past
+    // results keep their revisions. Archived questions are left out of the test everywhere else.
+    archivedAt: timestamp("archived_at"),
     createdAt: timestamp("created_at").defaultNow(),
 });
 
+/* ================= QUESTION REVISIONS ================= */
+// Immutable snapshots of a question. A new revision is written on every edit; attempts and answers
+// point at the revision that was served, so results always render the question as it was answered.
+export const questionRevisions = mysqlTable(
+    "question_revisions",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        questionId: int("question_id")
+            .notNull()
+            .references(() => questions.id, { onDelete: "cascade" }),
+        revision: int("revision").notNull(),
+        questionText: text("question_text").notNull(),
+        imageUrl: varchar("image_url", { length: 500 }),
+        questionType: mysqlEnum("question_type", ["multiple_choice", "short_answer", "numeric", "grid"]).notNull(),
+        correctAnswer: varchar("correct_answer", { length: 255 }),
+        gridData: text("grid_data"),
+        difficulty: int("difficulty"),
+        // JSON: [{ id, label, optionText, imageUrl, isCorrect }] and [{ imageUrl, imageOrder }]
+        options: text("options").notNull(),
+        images: text("images").notNull(),
+        createdBy: int("created_by").references(() => users.id, { onDelete: "set null" }),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        questionRevision: unique("question_revisions_question_revision").on(table.questionId, table.revision),
+    })
+);
+
+/* ================= ITEM PARAMETERS ================= */
+// IRT parameters per question: discrimination (a) and difficulty (b) on the logit scale
+export const itemParameters = mysqlTable("item_parameters", {
+    questionId: int("question_id")
+        .primaryKey()
+        .references(() => questions.id, { onDelete: "cascade" }),
+    model: mysqlEnum("model", ["1pl", "2pl"]).notNull().default("1pl"),
+    discrimination: decimal("discrimination", { precision: 6, scale: 3 }).notNull().default("1.000"),
+    difficulty: decimal("difficulty", { precision: 6, scale: 3 }).notNull(),
+    sampleSize: int("sample_size").notNull().default(0),
+    calibratedAt: timestamp("calibrated_at").defaultNow(),
+});
+
 /* ================= QUESTION IMAGES ================= */
 export const questionImages = mysqlTable("question_images", {
     id: int("id").primaryKey().autoincrement(),
@@ -58,10 +172,118 @@ export const tests = mysqlTable("tests", {
     title: varchar("title", { length: 255 }).notNull(),
     description: text("description"),
     durationMinutes: int("duration_minutes"),
-    published: boolean("published").default(false),
+    // "fixed" serves questions by questionOrder, "random" samples questionCount of them per attempt
+    questionSelection: mysqlEnum("question_selection", ["fixed", "random"]).notNull().default("fixed"),
+    questionCount: int("question_count"),
+    // "adaptive" serves one question at a time chosen by IRT; questionCount is then the maximum item count
+    mode: mysqlEnum("mode", ["standard", "adaptive"]).notNull().default("standard"),
+    // Adaptive attempts stop once the ability standard error drops to this value
+    adaptiveStopSe: decimal("adaptive_stop_se", { precision: 4, scale: 2 }),
+    // Charged from the user's balance when an attempt starts / when the detailed result is unlocked
+    price: decimal("price", { precision: 10, scale: 2 }).default("0.00"),
+    resultUnlockPrice: decimal("result_unlock_price", { precision: 10, scale: 2 }).default("0.00"),
+    // Lifecycle: draft -> in_review -> published -> archived. Only published tests are listed and startable.
+    status: mysqlEnum("status", ["draft", "in_review", "published", "archived"]).notNull().default("draft"),
+    // Version new attempts are served from
+    publishedVersionId: int("published_version_id"),
+    published: boolean("published").default(false), // Deprecated, kept in sync with status
     createdAt: timestamp("created_at").defaultNow(),
 });
 
+/* ================= TEST VERSIONS ================= */
+// Frozen question set of a test, written each time it is published. Attempts keep the version they
+// started on, so publishing again does not change what in-progress attempts are served.
+export const testVersions = mysqlTable(
+    "test_versions",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        testId: int("test_id")
+            .notNull()
+            .references(() => tests.id, { onDelete: "cascade" }),
+        version: int("version").notNull(),
+        // JSON: [{ questionId, revisionId }] in serving order
+        questions: text("questions").notNull(),
+        publishedBy: int("published_by").references(() => users.id, { onDelete: "set null" }),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        testVersion: unique("test_versions_test_version").on(table.testId, table.version),
+    })
+);
+
+/* ================= TEST STATUS TRANSITIONS ================= */
+export const testTransitions = mysqlTable(
+    "test_transitions",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        testId: int("test_id")
+            .notNull()
+            .references(() => tests.id, { onDelete: "cascade" }),
+        fromStatus: varchar("from_status", { length: 20 }).notNull(),
+        toStatus: varchar("to_status", { length: 20 }).notNull(),
+        // Version created by a publish transition
+        testVersionId: int("test_version_id").references(() => testVersions.id, { onDelete: "set null" }),
+        note: varchar("note", { length: 500 }),
+        actorId: int("actor_id").references(() => users.id, { onDelete: "set null" }),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        testIdx: index("test_transitions_test_idx").on(table.testId, table.createdAt),
+    })
+);
+
+/* ================= NORM TABLES ================= */
+export const normTables = mysqlTable(
+    "norm_tables",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        testId: int("test_id")
+            .notNull()
+            .references(() => tests.id, { onDelete: "cascade" }),
+        version: int("version").notNull(),
+        // "zscore" converts with mean/sd, "table" interpolates between { score, iq } points (JSON in points)
+        method: mysqlEnum("method", ["zscore", "table"]).notNull(),
+        mean: decimal("mean", { precision: 8, scale: 4 }),
+        sd: decimal("sd", { precision: 8, scale: 4 }),
+        points: text("points"),
+        source: mysqlEnum("source", ["upload", "computed"]).notNull().default("upload"),
+        sampleSize: int("sample_size"),
+        active: boolean("active").default(false),
+        createdBy: int("created_by").references(() => users.id, { onDelete: "set null" }),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        testVersion: unique("norm_tables_test_version").on(table.testId, table.version),
+    })
+);
+
+/* ================= ATTEMPTS ================= */
+export const testAttempts = mysqlTable("test_attempts", {
+    id: int("id").primaryKey().autoincrement(),
+    userId: int("user_id")
+        .notNull()
+        .references(() => users.id, { onDelete: "cascade" }),
+    testId: int("test_id")
+        .notNull()
+        .references(() => tests.id, { onDelete: "cascade" }),
+    // Published version the attempt was started on (null for tests published before versions existed)
+    testVersionId: int("test_version_id").references(() => testVersions.id, { onDelete: "set null" }),
+    mode: mysqlEnum("mode", ["standard", "adaptive"]).notNull().default("standard"),
+    // JSON array of question ids in the order they were served
+    questionIds: text("question_ids").notNull(),
+    // JSON array of the served question_revisions ids, aligned with questionIds
+    revisionIds: text("revision_ids"),
+    // Adaptive mode: JSON array of graded answers so far, and the current ability estimate
+    responses: text("responses"),
+    abilityEstimate: decimal("ability_estimate", { precision: 6, scale: 3 }),
+    abilitySe: decimal("ability_se", { precision: 6, scale: 3 }),
+    // "failed" attempts could not be served and were refunded
+    status: mysqlEnum("status", ["in_progress", "submitted", "expired", "failed"]).notNull().default("in_progress"),
+    startedAt: timestamp("started_at").defaultNow(),
+    expiresAt: timestamp("expires_at"),
+    submittedAt: timestamp("submitted_at"),
+});
+
 /* ================= RESULTS ================= */
 export const testResults = mysqlTable("test_results", {
     id: int("id").primaryKey().autoincrement(),
@@ -71,9 +293,21 @@ export const testResults = mysqlTable("test_results", {
     testId: int("test_id").references(() => tests.id, {
         onDelete: "set null",
     }),
+    attemptId: int("attempt_id").references(() => testAttempts.id, {
+        onDelete: "set null",
+    }),
+    // Raw score: number of correct answers
     score: int("score").notNull(),
     totalQuestions: int("total_questions").notNull(),
+    // Sum of difficulty weights of the correct answers, out of weightedMax
+    weightedScore: decimal("weighted_score", { precision: 10, scale: 2 }),
+    weightedMax: decimal("weighted_max", { precision: 10, scale: 2 }),
     iqScore: int("iq_score").notNull(),
+    percentile: decimal("percentile", { precision: 5, scale: 2 }),
+    // Set once the detailed answer breakdown of a paid test has been unlocked
+    detailsUnlockedAt: timestamp("details_unlocked_at"),
+    // Norm table the IQ score was derived from, null when the default formula was used
+    normTableId: int("norm_table_id").references(() => normTables.id, { onDelete: "restrict" }),
     completedAt: timestamp("completed_at").defaultNow(),
 });
 
@@ -87,22 +321,128 @@ export const userAnswers = mysqlTable("user_answers", {
         .notNull()
         .references(() => questions.id, { onDelete: "cascade" }),
 
-    selectedOptionId: int("selected_option_id").references(() => questionOptions.id),
+    selectedOptionId: int("selected_option_id").references(() => questionOptions.id, { onDelete: "set null" }),
+    // Revision of the question that was answered
+    questionRevisionId: int("question_revision_id").references(() => questionRevisions.id, { onDelete: "set null" }),
 
-    answerText: varchar("answer_text", { length: 255 }),
+    // Raw answer as submitted: option label, text, number or JSON-encoded grid
+    answerText: text("answer_text"),
     isCorrect: boolean("is_correct").notNull(),
+    // Time spent on the question: reported by the client in standard mode, measured between serves in
+    // adaptive mode. Null when unknown.
+    timeSpentMs: int("time_spent_ms"),
 });
 
 /* ================= TRANSACTIONS ================= */
 export const transactions = mysqlTable("transactions", {
     id: int("id").primaryKey().autoincrement(),
-    senderId: int("sender_id")
+    // Null on the system side of purchases and refunds
+    senderId: int("sender_id").references(() => users.id, { onDelete: "restrict" }),
+    receiverId: int("receiver_id").references(() => users.id, { onDelete: "restrict" }),
+    amount: decimal("amount", { precision: 10, scale: 2 }).notNull(),
+    status: mysqlEnum("status", ["pending", "completed", "failed"]).default("pending"),
+    category: mysqlEnum("category", ["transfer", "purchase", "refund", "topup"]).notNull().default("transfer"),
+    description: varchar("description", { length: 255 }),
+    // What a purchase or refund paid for, e.g. ("test_attempt", attemptId)
+    referenceType: varchar("reference_type", { length: 32 }),
+    referenceId: int("reference_id"),
+    createdAt: timestamp("created_at").defaultNow(),
+});
+
+/* ================= LEDGER ================= */
+// Append-only double-entry ledger. Every balance movement writes balanced debit/credit rows under one movementId.
+// For user wallets a credit increases and a debit decreases the balance.
+export const ledgerEntries = mysqlTable(
+    "ledger_entries",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        movementId: varchar("movement_id", { length: 36 }).notNull(),
+        // "wallet" for user balances, otherwise a system account such as "system:opening"
+        account: varchar("account", { length: 64 }).notNull(),
+        userId: int("user_id").references(() => users.id, { onDelete: "restrict" }),
+        direction: mysqlEnum("direction", ["debit", "credit"]).notNull(),
+        amount: decimal("amount", { precision: 10, scale: 2 }).notNull(),
+        // Wallet balance right after this entry, null for system accounts
+        balanceAfter: decimal("balance_after", { precision: 10, scale: 2 }),
+        referenceType: varchar("reference_type", { length: 32 }),
+        referenceId: int("reference_id"),
+        memo: varchar("memo", { length: 255 }),
+        createdBy: int("created_by").references(() => users.id, { onDelete: "set null" }),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        movementIdx: index("ledger_entries_movement_idx").on(table.movementId),
+        userIdx: index("ledger_entries_user_idx").on(table.userId),
+    })
+);
+
+/* ================= BALANCE ADJUSTMENTS ================= */
+// Manual balance corrections by admins. Each row is mirrored by a ledger movement (movementId).
+export const balanceAdjustments = mysqlTable("balance_adjustments", {
+    id: int("id").primaryKey().autoincrement(),
+    userId: int("user_id")
         .notNull()
         .references(() => users.id, { onDelete: "restrict" }),
-    receiverId: int("receiver_id")
+    adminId: int("admin_id")
         .notNull()
         .references(() => users.id, { onDelete: "restrict" }),
-    amount: decimal("amount", { precision: 10, scale: 2 }).notNull(),
-    status: mysqlEnum("status", ["pending", "completed", "failed"]).default("pending"),
+    delta: decimal("delta", { precision: 10, scale: 2 }).notNull(),
+    reason: varchar("reason", { length: 500 }).notNull(),
+    previousBalance: decimal("previous_balance", { precision: 10, scale: 2 }).notNull(),
+    newBalance: decimal("new_balance", { precision: 10, scale: 2 }).notNull(),
+    movementId: varchar("movement_id", { length: 36 }).notNull(),
     createdAt: timestamp("created_at").defaultNow(),
 });
+
+/* ================= PAYMENT INVOICES ================= */
+// Balance top-ups through an external payment provider
+export const paymentInvoices = mysqlTable(
+    "payment_invoices",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        userId: int("user_id")
+            .notNull()
+            .references(() => users.id, { onDelete: "restrict" }),
+        provider: varchar("provider", { length: 32 }).notNull(),
+        providerInvoiceId: varchar("provider_invoice_id", { length: 128 }),
+        amount: decimal("amount", { precision: 10, scale: 2 }).notNull(),
+        status: mysqlEnum("status", ["pending", "paid", "failed", "expired"]).notNull().default("pending"),
+        paymentUrl: varchar("payment_url", { length: 500 }),
+        // Transaction that credited the balance once the invoice was paid
+        transactionId: int("transaction_id").references(() => transactions.id, { onDelete: "set null" }),
+        paidAt: timestamp("paid_at"),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        providerInvoice: unique("payment_invoices_provider_invoice").on(table.provider, table.providerInvoiceId),
+    })
+);
+
+/* ================= AUDIT LOG ================= */
+// Who did what through the admin API. Snapshots are JSON of the entity before and after the change.
+export const auditLog = mysqlTable(
+    "audit_log",
+    {
+        id: int("id").primaryKey().autoincrement(),
+        actorId: int("actor_id").references(() => users.id, { onDelete: "set null" }),
+        actorRole: varchar("actor_role", { length: 50 }),
+        // e.g. "test.update", "transaction.approve"
+        action: varchar("action", { length: 64 }).notNull(),
+        entityType: varchar("entity_type", { length: 32 }).notNull(),
+        entityId: varchar("entity_id", { length: 64 }),
+        before: text("before"),
+        after: text("after"),
+        method: varchar("method", { length: 10 }),
+        path: varchar("path", { length: 255 }),
+        statusCode: int("status_code"),
+        ip: varchar("ip", { length: 64 }),
+        userAgent: varchar("user_agent", { length: 255 }),
+        createdAt: timestamp("created_at").defaultNow(),
+    },
+    (table) => ({
+        actorIdx: index("audit_log_actor_idx").on(table.actorId),
+        entityIdx: index("audit_log_entity_idx").on(table.entityType, table.entityId),
+        actionIdx: index("audit_log_action_idx").on(table.action),
+        createdAtIdx: index("audit_log_created_at_idx").on(table.createdAt),
+    })
+);
@@ -1,6 +1,9 @@
 import { db } from "./index.js"; // таны db холболт
 import { users, questions, tests, questionOptions } from "./schema.js"; // таны schema файл
 import bcrypt from "bcryptjs";
+import { recordOpeningBalances } from "../services/ledger.js";
+import { ensureSystemRoles } from "../services/permissions.js";
+import { transitionTest } from "../services/testLifecycle.js";
 
 // IQ тестийн асуултууд
 const iqQuestions = [
@@ -28,6 +31,10 @@ async function seed() {
     try {
         console.log("🌱 Seeding database...");
 
+        // Системийн үүргүүдийг үүсгэх
+        await ensureSystemRoles();
+        console.log("✅ System roles created");
+
         // Admin хэрэглэгч үүсгэх
         const adminPassword = await bcrypt.hash("admin123", 10);
         await db.insert(users).values({
@@ -50,13 +57,16 @@ async function seed() {
         });
         console.log("✅ Test user created");
 
+        // Хэрэглэгчдийн эхний үлдэгдлийг ledger-т бүртгэх
+        await recordOpeningBalances();
+        console.log("✅ Opening balances recorded in ledger");
+
         // Create a default test first
         const testInsert = await db.insert(tests).values({
             slug: "default-iq-test",
             title: "Default IQ Test",
             description: "Auto-generated IQ test",
             durationMinutes: 15,
-            published: 1,
         });
 
         const testId = testInsert[0] && testInsert[0].insertId ? testInsert[0].insertId : null;
@@ -89,6 +99,15 @@ async function seed() {
         }
         console.log(`✅ ${iqQuestions.length} questions and options inserted`);
 
+        // Тестийг хянуулаад нийтлэх (draft -> in_review -> published, анхны хувилбар үүснэ)
+        await transitionTest(testId, "in_review", { note: "Seed" });
+        const published = await transitionTest(testId, "published", { note: "Seed" });
+        if (published.issues.length > 0) {
+            console.error("❌ Test publishing failed:", published.issues);
+            process.exit(1);
+        }
+        console.log("✅ Test published");
+
         console.log("🎉 Seeding completed successfully!");
         process.exit(0);
     } catch (error) {
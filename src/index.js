@@ -1,22 +1,31 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from "url";
 import { testConnection } from "./db/index.js";
+import { ensureSystemRoles } from "./services/permissions.js";
+import { syncLegacyTestStatuses } from "./services/testLifecycle.js";
+import { startUploadCleanupJobs } from "./jobs/uploadCleanup.js";
+import { getStorage, storageKey } from "./services/storage/index.js";
+import { initPaymentProviders } from "./services/payments/index.js";
+import { initMailer } from "./services/mailer/index.js";
 import authRoutes from "./routes/auth.js";
 import testRoutes from "./routes/test.js";
+import catalogRoutes from "./routes/tests.js";
 import transactionRoutes from "./routes/transactions.js";
 import adminRoutes from "./routes/admin.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import paymentRoutes from "./routes/payments.js";
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy req.ip is the proxy's address unless we trust X-Forwarded-For.
+// Rate limiting and login lockouts key on req.ip, so set TRUST_PROXY to the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY === "true");
+}
+
 // Middleware
 app.use(
     cors({
@@ -24,10 +33,41 @@ app.use(
         credentials: true,
     })
 );
-app.use(express.json());
+app.use(
+    express.json({
+        // Keep the raw body for verifying signed payment webhooks
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 
-// Serve static files from uploads directory
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+// Serve uploaded media. Local storage is served from its directory; SVGs are sanitized on upload and
+// the CSP keeps anything that slipped through from running when one is opened directly. With remote
+// storage, stored /uploads/... references redirect to the driver's (possibly signed) URL; SVGs are
+// stored there with Content-Disposition: attachment so they cannot be opened as a page.
+const storage = getStorage();
+if (storage.localRoot) {
+    app.use(
+        "/uploads",
+        express.static(storage.localRoot, {
+            setHeaders: (res, filePath) => {
+                res.setHeader("X-Content-Type-Options", "nosniff");
+                if (filePath.endsWith(".svg")) {
+                    res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox");
+                }
+            },
+        })
+    );
+} else {
+    app.get("/uploads/*", (req, res) => {
+        const key = storageKey(`/uploads/${req.params[0]}`);
+        if (!key) {
+            return res.status(404).json({ error: "Файл олдсонгүй" });
+        }
+        res.redirect(302, storage.url(key));
+    });
+}
 
 // Health check
 app.get("/health", (req, res) => {
@@ -37,8 +77,10 @@ app.get("/health", (req, res) => {
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/test", testRoutes);
+app.use("/api/tests", catalogRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/payments", paymentRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -53,11 +95,20 @@ app.use((req, res) => {
 
 // Start server
 async function start() {
-    await testConnection();
+    initPaymentProviders();
+    initMailer();
+
+    if (await testConnection()) {
+        // Missing system roles fall back to their built-in permissions, so this is not fatal
+        await ensureSystemRoles().catch((error) => console.error("Ensure system roles error:", error));
+        await syncLegacyTestStatuses().catch((error) => console.error("Sync test statuses error:", error));
+    }
 
     app.listen(PORT, () => {
         console.log(`🚀 Server running on http://localhost:${PORT}`);
     });
+
+    startUploadCleanupJobs();
 }
 
 start();
@@ -0,0 +1,157 @@
+import path from "path";
+import { db } from "../db/index.js";
+import { questions, questionOptions, questionImages, questionRevisions, testAttempts, testVersions, tests } from "../db/schema.js";
+import { eq, inArray, isNotNull } from "drizzle-orm";
+import { imageFilenames } from "../services/images.js";
+import { getStorage, storageKey, storageRef } from "../services/storage/index.js";
+
+const QUESTIONS_PREFIX = "questions/";
+
+const HOUR = 60 * 60 * 1000;
+const TMP_INTERVAL_MS = 30 * 60 * 1000;
+const TMP_MAX_AGE_MS = HOUR;
+const GC_INTERVAL_MS = (parseFloat(process.env.UPLOAD_GC_INTERVAL_HOURS) || 24) * HOUR;
+// Objects younger than this are never collected: an upload is moved into questions/
+// a moment before the row referencing it is committed.
+const GC_GRACE_MS = (parseFloat(process.env.UPLOAD_GC_GRACE_HOURS) || 24) * HOUR;
+
+let gcRunning = false;
+
+// Delete temp uploads that were never attached to a question
+export async function cleanTmpUploads({ maxAgeMs = TMP_MAX_AGE_MS } = {}) {
+    const storage = getStorage();
+    const objects = await storage.list("tmp/");
+    let deletedCount = 0;
+    for (const object of objects) {
+        if (Date.now() - object.modifiedAt.getTime() > maxAgeMs) {
+            await storage.delete(object.key).catch(() => {});
+            deletedCount++;
+        }
+    }
+    return deletedCount;
+}
+
+function parseList(value) {
+    try {
+        const parsed = JSON.parse(value || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Revisions that can still be served: those of published test versions and of unfinished attempts
+async function servableRevisionIds() {
+    const ids = new Set();
+    const versions = await db
+        .select({ questions: testVersions.questions })
+        .from(tests)
+        .innerJoin(testVersions, eq(testVersions.id, tests.publishedVersionId));
+    versions.forEach((v) => parseList(v.questions).forEach((q) => q.revisionId && ids.add(q.revisionId)));
+
+    const attempts = await db.select({ revisionIds: testAttempts.revisionIds }).from(testAttempts).where(eq(testAttempts.status, "in_progress"));
+    attempts.forEach((a) => parseList(a.revisionIds).forEach((id) => id && ids.add(id)));
+    return [...ids];
+}
+
+// File names under questions/ that something still points at, variants included
+async function referencedFilenames() {
+    const urls = [];
+    const imageRows = await db.select({ url: questionImages.imageUrl }).from(questionImages);
+    const optionRows = await db.select({ url: questionOptions.imageUrl }).from(questionOptions).where(isNotNull(questionOptions.imageUrl));
+    const questionRows = await db.select({ url: questions.imageUrl }).from(questions).where(isNotNull(questions.imageUrl));
+    urls.push(...imageRows.map((r) => r.url), ...optionRows.map((r) => r.url), ...questionRows.map((r) => r.url));
+
+    const revisionIds = await servableRevisionIds();
+    if (revisionIds.length > 0) {
+        const revisions = await db
+            .select({ imageUrl: questionRevisions.imageUrl, options: questionRevisions.options, images: questionRevisions.images })
+            .from(questionRevisions)
+            .where(inArray(questionRevisions.id, revisionIds));
+        for (const revision of revisions) {
+            urls.push(revision.imageUrl, ...parseList(revision.images).map((img) => img.imageUrl), ...parseList(revision.options).map((o) => o.imageUrl));
+        }
+    }
+
+    const names = new Set();
+    for (const url of urls) {
+        const key = storageKey(url);
+        if (key && key.startsWith(QUESTIONS_PREFIX)) {
+            imageFilenames(path.posix.basename(key)).forEach((name) => names.add(name));
+        }
+    }
+    return names;
+}
+
+// Find objects under questions/ that no question, option, published version or unfinished attempt
+// references and that are older than the grace period. Unless dryRun, they are deleted.
+export async function collectOrphanedUploads({ dryRun = true, graceMs = GC_GRACE_MS } = {}) {
+    if (gcRunning) {
+        return { skipped: true, reason: "already_running" };
+    }
+    gcRunning = true;
+    try {
+        const storage = getStorage();
+        const objects = await storage.list(QUESTIONS_PREFIX);
+        const referenced = await referencedFilenames();
+
+        const report = { dryRun, graceHours: graceMs / HOUR, scanned: 0, referenced: 0, recent: 0, orphaned: [], deletedCount: 0, freedBytes: 0 };
+        for (const object of objects) {
+            const file = object.key.slice(QUESTIONS_PREFIX.length);
+            report.scanned++;
+
+            if (referenced.has(file)) {
+                report.referenced++;
+            } else if (Date.now() - object.modifiedAt.getTime() < graceMs) {
+                report.recent++;
+            } else {
+                report.orphaned.push({ file, url: storageRef(object.key), size: object.size, modifiedAt: object.modifiedAt });
+            }
+        }
+
+        if (!dryRun) {
+            for (const orphan of report.orphaned) {
+                try {
+                    await storage.delete(QUESTIONS_PREFIX + orphan.file);
+                    report.deletedCount++;
+                    report.freedBytes += orphan.size;
+                } catch (error) {
+                    orphan.error = error.code || error.message;
+                }
+            }
+        }
+        return report;
+    } finally {
+        gcRunning = false;
+    }
+}
+
+// Schedule the tmp sweep and the orphan collector. Timers are unref'd so they never keep the process alive.
+export function startUploadCleanupJobs() {
+    const sweepTmp = async () => {
+        try {
+            const deletedCount = await cleanTmpUploads();
+            if (deletedCount > 0) {
+                console.log(`🧹 Cleaned ${deletedCount} old temp file(s)`);
+            }
+        } catch (error) {
+            console.error("Temp cleanup error:", error);
+        }
+    };
+    const collect = async () => {
+        try {
+            const report = await collectOrphanedUploads({ dryRun: false });
+            if (report.deletedCount > 0) {
+                console.log(`🧹 Removed ${report.deletedCount} orphaned upload(s), ${report.freedBytes} bytes`);
+            }
+        } catch (error) {
+            console.error("Upload GC error:", error);
+        }
+    };
+
+    setTimeout(sweepTmp, 5000).unref(); // 5 seconds after server start
+    setInterval(sweepTmp, TMP_INTERVAL_MS).unref();
+    if (process.env.UPLOAD_GC_ENABLED !== "false") {
+        setInterval(collect, GC_INTERVAL_MS).unref();
+    }
+}
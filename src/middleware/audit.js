@@ -0,0 +1,57 @@
+import { hasSnapshot, loadSnapshot, recordAudit } from "../services/audit.js";
+
+// Audit a mutating admin route. The entity is loaded before the handler runs and again after a
+// successful response, and both snapshots are stored with the actor and request metadata.
+//   audit("test.update", { entity: "test" })                                  id from req.params.id
+//   audit("test.create", { entity: "test", id: (req, body) => body?.testId })  id from the response
+// Entities without a snapshot loader, or after: "response", store the response body as the after state.
+export function audit(action, { entity, id = (req) => req.params.id, after = "snapshot" } = {}) {
+    return async (req, res, next) => {
+        const beforeId = id(req, null);
+        let before = null;
+        try {
+            before = await loadSnapshot(entity, beforeId);
+        } catch (error) {
+            console.error("Audit snapshot error:", error);
+        }
+
+        let responseBody;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on("finish", async () => {
+            if (res.statusCode >= 400) return;
+
+            const entityId = id(req, responseBody) ?? beforeId ?? null;
+            let afterState = responseBody ?? null;
+            if (after === "snapshot" && hasSnapshot(entity)) {
+                try {
+                    afterState = await loadSnapshot(entity, entityId);
+                } catch (error) {
+                    console.error("Audit snapshot error:", error);
+                }
+            }
+
+            await recordAudit({
+                actor: req.user,
+                action,
+                entityType: entity,
+                entityId,
+                before,
+                after: afterState,
+                request: {
+                    method: req.method,
+                    path: req.originalUrl,
+                    statusCode: res.statusCode,
+                    ip: req.ip,
+                    userAgent: req.headers["user-agent"],
+                },
+            });
+        });
+
+        next();
+    };
+}
@@ -1,6 +1,18 @@
 import jwt from "jsonwebtoken";
+import { db } from "../db/index.js";
+import { users } from "../db/schema.js";
+import { eq } from "drizzle-orm";
+import { getUserAccess } from "../services/permissions.js";
 
-export const authMiddleware = (req, res, next) => {
+// Access tokens carry the user's token version (tv). Revoking all sessions bumps the version in the
+// database, so a token is only accepted while the two still match.
+async function isCurrentToken(decoded) {
+    const rows = await db.select({ tokenVersion: users.tokenVersion }).from(users).where(eq(users.id, decoded.id));
+    return rows.length > 0 && rows[0].tokenVersion === (decoded.tv || 0);
+}
+
+export const authMiddleware = async (req, res, next) => {
+    let decoded;
     try {
         const authHeader = req.headers.authorization;
 
@@ -9,18 +21,81 @@ export const authMiddleware = (req, res, next) => {
         }
 
         const token = authHeader.split(" ")[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         return res.status(401).json({ error: "Буруу эсвэл хүчингүй token" });
     }
+
+    // Purpose tokens (e.g. the 2FA login challenge) are not access tokens
+    if (decoded.purpose) {
+        return res.status(401).json({ error: "Буруу эсвэл хүчингүй token" });
+    }
+
+    try {
+        if (!(await isCurrentToken(decoded))) {
+            return res.status(401).json({ error: "Буруу эсвэл хүчингүй token" });
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    req.user = decoded;
+    next();
 };
 
-export const adminMiddleware = (req, res, next) => {
-    if (req.user.role !== "admin") {
-        return res.status(403).json({ error: "Админ эрх шаардлагатай" });
+// Route guard for staff endpoints: requirePermission("tests:write"). With several permissions the user
+// needs all of them. Permissions are read from the database rather than the token, so a demoted user
+// or a revoked session loses access immediately instead of when the access token expires.
+// Staff tokens must also come from a login that passed the second factor.
+export const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            const access = await getUserAccess(req.user.id);
+
+            if (!access || access.tokenVersion !== (req.user.tv || 0)) {
+                return res.status(401).json({ error: "Буруу эсвэл хүчингүй token" });
+            }
+            if (!permissions.every((p) => access.permissions.has(p))) {
+                return res.status(403).json({ error: "Энэ үйлдлийг хийх эрх байхгүй" });
+            }
+            if (req.user.mfa !== true) {
+                return res.status(403).json({ error: "Хоёр шатлалт баталгаажуулалт шаардлагатай", mfaRequired: true });
+            }
+            req.permissions = access.permissions;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export const optionalAuthMiddleware = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+        try {
+            const decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
+            req.user = !decoded.purpose && (await isCurrentToken(decoded)) ? decoded : null;
+        } catch (error) {
+            req.user = null;
+        }
     }
     next();
 };
+
+// Refuse users whose email is not verified yet. Enabled with REQUIRE_VERIFIED_EMAIL_FOR_TRANSFERS=true.
+export const verifiedEmailMiddleware = async (req, res, next) => {
+    if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_TRANSFERS !== "true") {
+        return next();
+    }
+    try {
+        const rows = await db.select({ emailVerifiedAt: users.emailVerifiedAt }).from(users).where(eq(users.id, req.user.id));
+        if (rows.length === 0 || !rows[0].emailVerifiedAt) {
+            return res.status(403).json({ error: "Имэйл хаягаа баталгаажуулна уу" });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,59 @@
+import { getRateLimitStore } from "../services/rateLimit/index.js";
+
+// Default limits per route group. Override with RATE_LIMIT_<GROUP>="<max>/<window seconds>",
+// e.g. RATE_LIMIT_LOGIN="10/60".
+const DEFAULT_LIMITS = {
+    login: { max: 20, windowMs: 15 * 60 * 1000 },
+    register: { max: 5, windowMs: 60 * 60 * 1000 },
+    email: { max: 5, windowMs: 60 * 60 * 1000 },
+    transfer: { max: 10, windowMs: 60 * 1000 },
+    search: { max: 30, windowMs: 60 * 1000 },
+};
+
+function resolveLimit(group) {
+    const fallback = DEFAULT_LIMITS[group];
+    if (!fallback) {
+        throw new Error(`Unknown rate limit group: ${group}`);
+    }
+    const match = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${group.toUpperCase()}`] || "");
+    return match ? { max: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 } : fallback;
+}
+
+function secondsUntil(time) {
+    return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+export function sendTooManyRequests(res, retryAfterSeconds) {
+    res.set("Retry-After", String(retryAfterSeconds));
+    return res.status(429).json({ error: `Хэт олон оролдлого хийлээ. ${retryAfterSeconds} секундын дараа дахин оролдоно уу` });
+}
+
+// Fixed-window limiter for a route group. Logged-in users are counted per account,
+// everyone else per IP, so put it after authMiddleware on authenticated routes.
+export function rateLimit(group) {
+    const { max, windowMs } = resolveLimit(group);
+
+    return async (req, res, next) => {
+        let hit;
+        try {
+            const subject = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+            hit = await getRateLimitStore().increment(`rl:${group}:${subject}`, windowMs);
+        } catch (error) {
+            // A broken store should not take the API down with it
+            console.error("Rate limit store error:", error);
+            return next();
+        }
+
+        const resetSeconds = secondsUntil(hit.resetAt);
+        res.set({
+            "RateLimit-Limit": String(max),
+            "RateLimit-Remaining": String(Math.max(0, max - hit.count)),
+            "RateLimit-Reset": String(resetSeconds),
+        });
+
+        if (hit.count > max) {
+            return sendTooManyRequests(res, resetSeconds);
+        }
+        next();
+    };
+}
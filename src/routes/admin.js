@@ -1,49 +1,63 @@
 import express from "express";
 import multer from "multer";
-import path from "path";
-import { fileURLToPath } from "url";
+import { body, validationResult } from "express-validator";
 import { db } from "../db/index.js";
-import { users, testResults, transactions, questions, questionOptions, tests, questionImages } from "../db/schema.js";
-import { eq, desc, sql } from "drizzle-orm";
-import { authMiddleware, adminMiddleware } from "../middleware/auth.js";
-import fs from "fs";
-const fsp = fs.promises;
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, path.join(__dirname, "../../uploads/tmp"));
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-        cb(null, uniqueSuffix + path.extname(file.originalname));
-    },
+import { users, testResults, transactions, questions, questionOptions, tests, questionImages, itemParameters } from "../db/schema.js";
+import { and, eq, gte, lte, like, or, sql, inArray, isNull } from "drizzle-orm";
+import { authMiddleware, requirePermission } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+import { listNormTables, uploadNormTable, recomputeNormTable, activateNormTable, deleteTest } from "../services/norms.js";
+import { calibrateTest, defaultParameters } from "../services/irt.js";
+import { adjustBalance, getAdjustmentHistory } from "../services/adjustments.js";
+import { refundAttempt } from "../services/purchases.js";
+import { revokeAllSessions } from "../services/sessions.js";
+import { resetTwoFactor } from "../services/twoFactor.js";
+import { PERMISSIONS } from "../services/permissions.js";
+import { listRoles, createRole, updateRole, deleteRole, assignRole } from "../services/roles.js";
+import { queryAuditLog } from "../services/audit.js";
+import { buildTestBundle, exportTestZip, importTestBundle, importQuestionsCsv } from "../services/questionBundles.js";
+import { createRevision, deleteQuestion, listRevisions, getRevision, diffRevisions } from "../services/questionRevisions.js";
+import { TEST_STATUSES, transitionTest, listTestTransitions, validateTestForPublish } from "../services/testLifecycle.js";
+import { MAX_IMAGE_BYTES, storeImage, promoteUpload } from "../services/images.js";
+import { resolveMediaUrl } from "../services/storage/index.js";
+import { getTestItemStatistics, getQuestionItemStatistics } from "../services/itemStats.js";
+import { parseBucketing, parseLocalRange, registrationSeries, completionSeries, transactionVolumeSeries, iqDistribution, pendingTransactionAges } from "../services/analytics.js";
+import { collectOrphanedUploads } from "../jobs/uploadCleanup.js";
+import { parsePagination, parseListQuery, pageResult, parseDateRange } from "../utils/pagination.js";
+import { ServiceError } from "../utils/errors.js";
+
+// Image uploads are kept in memory and go through the image pipeline, which checks the real
+// content type, so the file name and declared MIME type are not relied on here
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES },
 });
 
-const upload = multer({
-    storage,
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|svg|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        if (extname && mimetype) {
-            cb(null, true);
-        } else {
-            cb(new Error("Зөвхөн зураг файл оруулна уу"));
-        }
-    },
+// Import files are read in memory: ZIP/JSON bundles and CSV question banks
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
 });
 
 const router = express.Router();
 
-// Get all users
-router.get("/users", authMiddleware, adminMiddleware, async (req, res) => {
+const USER_SORTS = { id: users.id, username: users.username, balance: users.balance, createdAt: users.createdAt };
+
+// List users (?q=&role=&from=&to=&sort=&limit=&page=|cursor=, see utils/pagination.js)
+router.get("/users", authMiddleware, requirePermission("users:read"), async (req, res) => {
     try {
-        const allUsers = await db
+        const list = parseListQuery(req.query, { sortable: USER_SORTS, defaultSort: "-createdAt", idColumn: users.id, defaultLimit: 50, maxLimit: 200 });
+        const { from, to } = parseDateRange(req.query);
+
+        const conditions = [];
+        if (req.query.q) conditions.push(or(like(users.username, `%${req.query.q}%`), like(users.email, `%${req.query.q}%`)));
+        if (req.query.role) conditions.push(eq(users.role, req.query.role));
+        if (from) conditions.push(gte(users.createdAt, from));
+        if (to) conditions.push(lte(users.createdAt, to));
+        const where = and(...conditions);
+
+        const totalResult = await db.select({ count: sql`COUNT(*)` }).from(users).where(where);
+        const rows = await db
             .select({
                 id: users.id,
                 username: users.username,
@@ -53,17 +67,23 @@ router.get("/users", authMiddleware, adminMiddleware, async (req, res) => {
                 createdAt: users.createdAt,
             })
             .from(users)
-            .orderBy(desc(users.createdAt));
+            .where(and(where, list.where))
+            .orderBy(...list.orderBy)
+            .limit(list.limit + 1)
+            .offset(list.offset);
 
-        res.json(allUsers);
+        res.json(pageResult(rows, list, totalResult[0].count));
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Get users error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
 // Get user details with stats
-router.get("/users/:id", authMiddleware, adminMiddleware, async (req, res) => {
+router.get("/users/:id", authMiddleware, requirePermission("users:read"), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -100,30 +120,167 @@ router.get("/users/:id", authMiddleware, adminMiddleware, async (req, res) => {
     }
 });
 
-// Update user balance (admin only)
-router.patch("/users/:id/balance", authMiddleware, adminMiddleware, async (req, res) => {
+// Revoke all sessions of a user (admin only)
+router.post("/users/:id/revoke-sessions", authMiddleware, requirePermission("users:manage"), audit("user.revoke_sessions", { entity: "user" }), async (req, res) => {
+    try {
+        await revokeAllSessions(parseInt(req.params.id));
+        res.json({ message: "Хэрэглэгчийн бүх сесс цуцлагдлаа" });
+    } catch (error) {
+        console.error("Revoke sessions error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Remove a user's 2FA so they can enroll again, e.g. after losing their phone (admin only)
+router.post("/users/:id/reset-2fa", authMiddleware, requirePermission("users:manage"), audit("user.reset_2fa", { entity: "user" }), async (req, res) => {
+    try {
+        await resetTwoFactor(parseInt(req.params.id));
+        res.json({ message: "Хоёр шатлалт баталгаажуулалт цуцлагдлаа" });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Reset 2FA error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Change the role of a user: { role }
+router.put("/users/:id/role", authMiddleware, requirePermission("roles:manage"), audit("user.assign_role", { entity: "user" }), async (req, res) => {
+    try {
+        const result = await assignRole(parseInt(req.params.id), String(req.body.role || ""));
+        res.json(result);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Assign role error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// All permissions a role can be given
+router.get("/permissions", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+    res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// Roles with their permissions and the number of users holding each
+router.get("/roles", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+    try {
+        res.json(await listRoles());
+    } catch (error) {
+        console.error("Get roles error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Create a role: { name, description, permissions: [] }
+router.post("/roles", authMiddleware, requirePermission("roles:manage"), audit("role.create", { entity: "role", id: (req, body) => body?.name }), async (req, res) => {
+    try {
+        const role = await createRole(req.body);
+        res.status(201).json(role);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Create role error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Update a role's description and/or permissions
+router.patch("/roles/:name", authMiddleware, requirePermission("roles:manage"), audit("role.update", { entity: "role", id: (req) => req.params.name }), async (req, res) => {
+    try {
+        const role = await updateRole(req.params.name, req.body);
+        res.json(role);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Update role error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Delete a custom role that no user holds
+router.delete("/roles/:name", authMiddleware, requirePermission("roles:manage"), audit("role.delete", { entity: "role", id: (req) => req.params.name }), async (req, res) => {
+    try {
+        await deleteRole(req.params.name);
+        res.json({ message: "Үүрэг устгагдлаа" });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Delete role error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Adjust user balance by a signed delta (admin only): { delta, reason }
+router.patch("/users/:id/balance", authMiddleware, requirePermission("balances:adjust"), audit("user.adjust_balance", { entity: "user" }), async (req, res) => {
     try {
         const { id } = req.params;
-        const { amount } = req.body;
+        const { delta, reason } = req.body;
 
-        if (typeof amount !== "number") {
+        if (typeof delta !== "number" || !Number.isFinite(delta)) {
             return res.status(400).json({ error: "Дүн буруу" });
         }
 
-        await db
-            .update(users)
-            .set({ balance: amount.toString() })
-            .where(eq(users.id, parseInt(id)));
+        const adjustment = await adjustBalance({ userId: parseInt(id), adminId: req.user.id, delta, reason });
 
-        res.json({ message: "Баланс шинэчлэгдлээ" });
+        res.json({ message: "Баланс шинэчлэгдлээ", adjustment });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Update balance error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
+// Balance adjustment history of a user (admin only)
+router.get("/users/:id/balance-adjustments", authMiddleware, requirePermission("users:read"), async (req, res) => {
+    try {
+        const history = await getAdjustmentHistory(parseInt(req.params.id));
+        res.json(history);
+    } catch (error) {
+        console.error("Get balance adjustments error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Audit log (?actorId=&action=&entityType=&entityId=&from=&to=&page=&limit=), newest first
+router.get("/audit-log", authMiddleware, requirePermission("audit:read"), async (req, res) => {
+    try {
+        const { actorId, action, entityType, entityId, from, to } = req.query;
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return res.status(400).json({ error: "Огноо буруу" });
+        }
+
+        const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+        const { items, total } = await queryAuditLog(
+            {
+                actorId: actorId && !isNaN(parseInt(actorId)) ? parseInt(actorId) : null,
+                action: action || null,
+                entityType: entityType || null,
+                entityId: entityId || null,
+                from: fromDate,
+                to: toDate,
+            },
+            { limit, offset }
+        );
+
+        res.json({ items, total, page, limit });
+    } catch (error) {
+        console.error("Get audit log error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
 // Get dashboard stats
-router.get("/stats", authMiddleware, adminMiddleware, async (req, res) => {
+router.get("/stats", authMiddleware, requirePermission("stats:read"), async (req, res) => {
     try {
         const totalUsers = await db.select({ count: sql`COUNT(*)` }).from(users);
 
@@ -153,47 +310,115 @@ router.get("/stats", authMiddleware, adminMiddleware, async (req, res) => {
     }
 });
 
-// Helper function to move file from tmp to final destination
-function moveImageToFinal(tmpPath) {
-    if (!tmpPath || !tmpPath.startsWith("/uploads/tmp/")) {
-        return tmpPath; // Already in final location or no image
+// Time series for the dashboard: registrations, completions (count and average IQ) or transactions
+// (count and volume per status). ?interval=day|week&tz=&from=&to=, completions also take
+// ?testId=&groupBy=test and transactions ?category=
+router.get("/stats/series/:metric", authMiddleware, requirePermission("stats:read"), async (req, res) => {
+    try {
+        const bucketing = parseBucketing(req.query);
+        const testId = req.query.testId ? parseInt(req.query.testId) || 0 : null;
+
+        switch (req.params.metric) {
+            case "registrations":
+                return res.json(await registrationSeries(bucketing));
+            case "completions":
+                return res.json(await completionSeries(bucketing, { testId, groupByTest: req.query.groupBy === "test" }));
+            case "transactions":
+                return res.json(await transactionVolumeSeries(bucketing, { category: req.query.category || null }));
+            default:
+                return res.status(404).json({ error: "Ийм үзүүлэлт байхгүй (registrations, completions, transactions)" });
+        }
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get stats series error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
     }
+});
 
-    const filename = path.basename(tmpPath);
-    const tmpFullPath = path.join(__dirname, "../../", tmpPath);
-    const finalDir = path.join(__dirname, "../../uploads/questions");
-    const finalFullPath = path.join(finalDir, filename);
-
-    // Ensure final directory exists
-    if (!fs.existsSync(finalDir)) {
-        fs.mkdirSync(finalDir, { recursive: true });
+// IQ score histogram (?from=&to=&tz=&testId=&groupBy=test&binSize=), with the same time-zone aware bounds as the series
+router.get("/stats/iq-distribution", authMiddleware, requirePermission("stats:read"), async (req, res) => {
+    try {
+        const { from, to, timeZone } = parseLocalRange(req.query);
+        res.json(
+            await iqDistribution({
+                from,
+                to,
+                timeZone,
+                testId: req.query.testId ? parseInt(req.query.testId) || 0 : null,
+                groupByTest: req.query.groupBy === "test",
+                binSize: req.query.binSize ? Number(req.query.binSize) : 5,
+            })
+        );
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get IQ distribution error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
     }
+});
 
-    // Move file
-    if (fs.existsSync(tmpFullPath)) {
-        fs.renameSync(tmpFullPath, finalFullPath);
-        return `/uploads/questions/${filename}`;
+// Age of the transactions waiting for approval
+router.get("/stats/pending-transactions", authMiddleware, requirePermission("stats:read"), async (req, res) => {
+    try {
+        res.json(await pendingTransactionAges());
+    } catch (error) {
+        console.error("Get pending transaction ages error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
     }
+});
 
-    return tmpPath; // If file doesn't exist, return original path
-}
-
-// Upload image endpoint (uploads to tmp folder)
-router.post("/upload-image", authMiddleware, adminMiddleware, upload.single("image"), async (req, res) => {
+// Upload image endpoint (processed into tmp storage). imageUrl is what questions store, url can be
+// shown right away. The WebP variants move along with the image when the question is saved.
+router.post("/upload-image", authMiddleware, requirePermission("questions:write"), upload.single("image"), audit("image.upload", { entity: "image", id: (req, body) => body?.imageUrl }), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: "Зураг оруулна уу" });
         }
-        const tmpImageUrl = `/uploads/tmp/${req.file.filename}`;
-        res.json({ imageUrl: tmpImageUrl, message: "Зураг түр хуулагдлаа" });
+        const image = await storeImage(req.file.buffer, "tmp");
+        res.json({
+            imageUrl: image.imageUrl,
+            url: image.url,
+            width: image.width,
+            height: image.height,
+            variants: image.variants.map(({ width, format, imageUrl, url }) => ({ width, format, imageUrl, url })),
+            message: "Зураг түр хуулагдлаа",
+        });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Upload image error:", error);
         res.status(500).json({ error: error.message || "Зураг хуулахад алдаа гарлаа" });
     }
 });
 
+// Find question images nothing references any more. Reports only, unless { dryRun: false } is sent.
+router.post("/uploads/gc", authMiddleware, requirePermission("questions:write"), audit("uploads.gc", { entity: "uploads", id: () => "questions", after: "response" }), async (req, res) => {
+    try {
+        const dryRun = req.body?.dryRun !== false && req.query.dryRun !== "false";
+        const graceHours = req.body?.graceHours ?? req.query.graceHours;
+        if (graceHours !== undefined && !(parseFloat(graceHours) >= 1)) {
+            return res.status(400).json({ error: "graceHours 1-ээс багагүй байх ёстой" });
+        }
+
+        const options = { dryRun };
+        if (graceHours !== undefined) options.graceMs = parseFloat(graceHours) * 60 * 60 * 1000;
+        const report = await collectOrphanedUploads(options);
+        if (report.skipped) {
+            return res.status(409).json({ error: "Цэвэрлэгээ аль хэдийн ажиллаж байна" });
+        }
+        res.json(report);
+    } catch (error) {
+        console.error("Upload GC error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
 // Create question with options (within a test)
-router.post("/questions", authMiddleware, adminMiddleware, async (req, res) => {
+router.post("/questions", authMiddleware, requirePermission("questions:write"), audit("question.create", { entity: "question", id: (req, body) => body?.questionId }), async (req, res) => {
     try {
         const { testId, questionText, imageUrls, options, questionOrder, questionType, correctAnswer, gridData, difficulty } = req.body;
 
@@ -242,7 +467,7 @@ router.post("/questions", authMiddleware, adminMiddleware, async (req, res) => {
         // Insert question images if provided
         if (imageUrls && Array.isArray(imageUrls) && imageUrls.length > 0) {
             for (let i = 0; i < imageUrls.length; i++) {
-                const finalImageUrl = moveImageToFinal(imageUrls[i]);
+                const finalImageUrl = await promoteUpload(imageUrls[i]);
                 await db.insert(questionImages).values({
                     questionId,
                     imageUrl: finalImageUrl,
@@ -255,7 +480,7 @@ router.post("/questions", authMiddleware, adminMiddleware, async (req, res) => {
         if (qType === "multiple_choice" && Array.isArray(options)) {
             for (const opt of options) {
                 if (!opt.label || !opt.optionText) continue;
-                const finalOptionImageUrl = opt.imageUrl ? moveImageToFinal(opt.imageUrl) : null;
+                const finalOptionImageUrl = opt.imageUrl ? await promoteUpload(opt.imageUrl) : null;
                 await db.insert(questionOptions).values({
                     questionId,
                     label: opt.label,
@@ -266,31 +491,50 @@ router.post("/questions", authMiddleware, adminMiddleware, async (req, res) => {
             }
         }
 
-        res.json({ message: "Асуулт амжилттай нэмэгдлээ", questionId });
+        const revisionId = await createRevision(db, questionId, req.user.id);
+
+        res.json({ message: "Асуулт амжилттай нэмэгдлээ", questionId, revisionId });
     } catch (error) {
         console.error("Create question error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Get all questions with options (optionally filter by testId)
-router.get("/questions", authMiddleware, adminMiddleware, async (req, res) => {
-    try {
-        const { testId } = req.query;
+const QUESTION_SORTS = { id: questions.id, questionOrder: questions.questionOrder, difficulty: questions.difficulty, createdAt: questions.createdAt };
+const QUESTION_TYPES = ["multiple_choice", "short_answer", "numeric", "grid"];
 
-        let allQuestions;
-        if (testId) {
-            allQuestions = await db
-                .select()
-                .from(questions)
-                .where(eq(questions.testId, parseInt(testId)))
-                .orderBy(questions.questionOrder, desc(questions.createdAt));
-        } else {
-            allQuestions = await db.select().from(questions).orderBy(desc(questions.createdAt));
+// List questions with options and images (?testId=&type=&difficulty=&q=&from=&to=&sort=&limit=&page=|cursor=).
+// Within a test they default to test order, otherwise newest first.
+router.get("/questions", authMiddleware, requirePermission("questions:read"), async (req, res) => {
+    try {
+        const { testId, type, difficulty } = req.query;
+        const list = parseListQuery(req.query, { sortable: QUESTION_SORTS, defaultSort: testId ? "questionOrder" : "-createdAt", idColumn: questions.id, defaultLimit: 50, maxLimit: 200 });
+        const { from, to } = parseDateRange(req.query);
+        if (type && !QUESTION_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type нь ${QUESTION_TYPES.join(", ")} байх ёстой` });
         }
 
-        const allOptions = await db.select().from(questionOptions);
-        const allImages = await db.select().from(questionImages);
+        const conditions = [isNull(questions.archivedAt)];
+        if (testId) conditions.push(eq(questions.testId, parseInt(testId) || 0));
+        if (type) conditions.push(eq(questions.questionType, type));
+        if (difficulty) conditions.push(eq(questions.difficulty, parseInt(difficulty) || 0));
+        if (req.query.q) conditions.push(like(questions.questionText, `%${req.query.q}%`));
+        if (from) conditions.push(gte(questions.createdAt, from));
+        if (to) conditions.push(lte(questions.createdAt, to));
+        const where = and(...conditions);
+
+        const totalResult = await db.select({ count: sql`COUNT(*)` }).from(questions).where(where);
+        const rows = await db
+            .select()
+            .from(questions)
+            .where(and(where, list.where))
+            .orderBy(...list.orderBy)
+            .limit(list.limit + 1)
+            .offset(list.offset);
+
+        const ids = rows.map((q) => q.id);
+        const allOptions = ids.length > 0 ? await db.select().from(questionOptions).where(inArray(questionOptions.questionId, ids)) : [];
+        const allImages = ids.length > 0 ? await db.select().from(questionImages).where(inArray(questionImages.questionId, ids)) : [];
 
         const optionsMap = new Map();
         allOptions.forEach((opt) => {
@@ -300,6 +544,7 @@ router.get("/questions", authMiddleware, adminMiddleware, async (req, res) => {
                 label: opt.label,
                 optionText: opt.optionText,
                 imageUrl: opt.imageUrl,
+                url: opt.imageUrl ? resolveMediaUrl(opt.imageUrl) : null,
                 isCorrect: opt.isCorrect,
             });
             optionsMap.set(opt.questionId, arr);
@@ -311,12 +556,13 @@ router.get("/questions", authMiddleware, adminMiddleware, async (req, res) => {
             arr.push({
                 id: img.id,
                 imageUrl: img.imageUrl,
+                url: resolveMediaUrl(img.imageUrl),
                 imageOrder: img.imageOrder,
             });
             imagesMap.set(img.questionId, arr);
         });
 
-        const questionsWithOptions = allQuestions.map((q) => ({
+        const questionsWithOptions = rows.map((q) => ({
             ...q,
             options: optionsMap.get(q.id) || [],
             images: (imagesMap.get(q.id) || []).sort((a, b) => a.imageOrder - b.imageOrder),
@@ -331,45 +577,111 @@ router.get("/questions", authMiddleware, adminMiddleware, async (req, res) => {
                 : null,
         }));
 
-        res.json(questionsWithOptions);
+        res.json(pageResult(questionsWithOptions, list, totalResult[0].count));
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Get questions error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Tests CRUD for admin
-router.get("/tests", authMiddleware, adminMiddleware, async (req, res) => {
+// Test settings that PATCH /tests/:id may change. The status only changes through transitions.
+const TEST_SETTINGS = ["slug", "title", "description", "durationMinutes", "questionSelection", "questionCount", "mode", "adaptiveStopSe", "price", "resultUnlockPrice"];
+// Settings that decide which questions an attempt gets. validateTestForPublish checks them against the
+// questions, so a published test has to go back to draft and be republished to change them.
+const SERVING_SETTINGS = ["questionSelection", "questionCount", "mode", "adaptiveStopSe"];
+const testSettingsValidation = [
+    body("slug").optional().isString().trim().notEmpty().withMessage("slug буруу"),
+    body("title").optional().isString().trim().notEmpty().withMessage("title буруу"),
+    body("description").optional({ values: "null" }).isString().withMessage("description буруу"),
+    body("durationMinutes").optional({ values: "null" }).isInt({ min: 1, max: 2147483647 }).withMessage("durationMinutes 1-ээс их бүхэл тоо байх ёстой"),
+    body("questionSelection").optional().isIn(["fixed", "random"]).withMessage("questionSelection нь fixed эсвэл random байх ёстой"),
+    body("questionCount").optional({ values: "null" }).isInt({ min: 1, max: 2147483647 }).withMessage("questionCount 1-ээс их бүхэл тоо байх ёстой"),
+    body("mode").optional().isIn(["standard", "adaptive"]).withMessage("mode нь standard эсвэл adaptive байх ёстой"),
+    body("adaptiveStopSe").optional({ values: "null" }).isFloat({ gt: 0, lt: 100 }).withMessage("adaptiveStopSe 0-ээс их, 100-аас бага тоо байх ёстой"),
+    body("price").optional().isFloat({ min: 0, max: 99999999.99 }).withMessage("price сөрөг биш тоо байх ёстой"),
+    body("resultUnlockPrice").optional().isFloat({ min: 0, max: 99999999.99 }).withMessage("resultUnlockPrice сөрөг биш тоо байх ёстой"),
+];
+
+const TEST_SORTS = { id: tests.id, title: tests.title, createdAt: tests.createdAt };
+
+// Tests CRUD for admin. Listing: ?status=&mode=&q=&from=&to=&sort=&limit=&page=|cursor=
+router.get("/tests", authMiddleware, requirePermission("tests:read"), async (req, res) => {
     try {
-        const allTests = await db.select().from(tests).orderBy(desc(tests.createdAt));
-
-        // Count questions for each test
-        for (const test of allTests) {
-            const questionCount = await db
-                .select({ count: sql`COUNT(*)` })
-                .from(questions)
-                .where(eq(questions.testId, test.id));
-            test.totalQuestions = questionCount[0].count;
+        const { status, mode, q } = req.query;
+        if (status && !TEST_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status нь ${TEST_STATUSES.join(", ")} байх ёстой` });
         }
+        const list = parseListQuery(req.query, { sortable: TEST_SORTS, defaultSort: "-createdAt", idColumn: tests.id, defaultLimit: 50, maxLimit: 200 });
+        const { from, to } = parseDateRange(req.query);
+
+        const conditions = [];
+        if (status) conditions.push(eq(tests.status, status));
+        if (mode) conditions.push(eq(tests.mode, mode));
+        if (q) conditions.push(or(like(tests.title, `%${q}%`), like(tests.slug, `%${q}%`)));
+        if (from) conditions.push(gte(tests.createdAt, from));
+        if (to) conditions.push(lte(tests.createdAt, to));
+        const where = and(...conditions);
+
+        const totalResult = await db.select({ count: sql`COUNT(*)` }).from(tests).where(where);
+        const rows = await db
+            .select()
+            .from(tests)
+            .where(and(where, list.where))
+            .orderBy(...list.orderBy)
+            .limit(list.limit + 1)
+            .offset(list.offset);
+
+        // Question counts of the page in one grouped query
+        const ids = rows.map((t) => t.id);
+        const counts =
+            ids.length > 0
+                ? await db
+                      .select({ testId: questions.testId, count: sql`COUNT(*)` })
+                      .from(questions)
+                      .where(and(inArray(questions.testId, ids), isNull(questions.archivedAt)))
+                      .groupBy(questions.testId)
+                : [];
+        const countMap = new Map(counts.map((c) => [c.testId, Number(c.count)]));
+        rows.forEach((test) => {
+            test.totalQuestions = countMap.get(test.id) || 0;
+        });
 
-        res.json(allTests);
+        res.json(pageResult(rows, list, totalResult[0].count));
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Get tests error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-router.post("/tests", authMiddleware, adminMiddleware, async (req, res) => {
+router.post("/tests", authMiddleware, requirePermission("tests:write"), audit("test.create", { entity: "test", id: (req, body) => body?.testId }), testSettingsValidation, async (req, res) => {
     try {
-        const { slug, title, description, durationMinutes, published } = req.body;
+        const { slug, title, description, durationMinutes, questionSelection, questionCount, mode, adaptiveStopSe, price, resultUnlockPrice } = req.body;
         if (!slug || !title) return res.status(400).json({ error: "slug болон title шаардлагатай" });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
         const insert = await db.insert(tests).values({
             slug,
             title,
             description: description || null,
             durationMinutes: durationMinutes || null,
-            published: published ? 1 : 0,
+            questionSelection: questionSelection || "fixed",
+            questionCount: questionCount || null,
+            mode: mode || "standard",
+            adaptiveStopSe: adaptiveStopSe ? String(adaptiveStopSe) : null,
+            price: price ? String(price) : "0.00",
+            resultUnlockPrice: resultUnlockPrice ? String(resultUnlockPrice) : "0.00",
+            // New tests start as drafts and are published through POST /tests/:id/transition
+            status: "draft",
+            published: 0,
         });
 
         const testId = insert[0]?.insertId;
@@ -380,10 +692,37 @@ router.post("/tests", authMiddleware, adminMiddleware, async (req, res) => {
     }
 });
 
-router.patch("/tests/:id", authMiddleware, adminMiddleware, async (req, res) => {
+router.patch("/tests/:id", authMiddleware, requirePermission("tests:write"), audit("test.update", { entity: "test" }), testSettingsValidation, async (req, res) => {
     try {
         const { id } = req.params;
-        const updates = req.body;
+        if ("published" in req.body || "status" in req.body) {
+            return res.status(400).json({ error: "Төлөвийг POST /tests/:id/transition-ээр өөрчилнө үү" });
+        }
+        const unknown = Object.keys(req.body).filter((key) => !TEST_SETTINGS.includes(key));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Өөрчлөх боломжгүй талбар: ${unknown.join(", ")}` });
+        }
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        const updates = Object.fromEntries(TEST_SETTINGS.filter((key) => key in req.body).map((key) => [key, req.body[key]]));
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Өөрчлөх талбар байхгүй байна" });
+        }
+        for (const key of ["price", "resultUnlockPrice", "adaptiveStopSe"]) {
+            if (key in updates && updates[key] !== null) updates[key] = String(updates[key]);
+        }
+
+        const current = await db.select({ status: tests.status }).from(tests).where(eq(tests.id, parseInt(id)));
+        if (current.length === 0) {
+            return res.status(404).json({ error: "Тест олдсонгүй" });
+        }
+        const serving = SERVING_SETTINGS.filter((key) => key in updates);
+        if (current[0].status === "published" && serving.length > 0) {
+            return res.status(409).json({ error: `Нийтлэгдсэн тестийн ${serving.join(", ")}-г өөрчлөх боломжгүй. Эхлээд draft болгоод дахин нийтлэнэ үү` });
+        }
+
         await db
             .update(tests)
             .set(updates)
@@ -395,32 +734,295 @@ router.patch("/tests/:id", authMiddleware, adminMiddleware, async (req, res) =>
     }
 });
 
-router.delete("/tests/:id", authMiddleware, adminMiddleware, async (req, res) => {
+// Move a test through its lifecycle: { status: "draft" | "in_review" | "published" | "archived", note }.
+// Publishing or taking a test offline requires tests:publish. A failed publish returns 422 with the issues found.
+router.post("/tests/:id/transition", authMiddleware, requirePermission("tests:write"), audit("test.transition", { entity: "test" }), async (req, res) => {
     try {
-        const { id } = req.params;
-        // Questions will be cascade deleted
-        await db.delete(tests).where(eq(tests.id, parseInt(id)));
+        const { status, note } = req.body;
+        const current = await db.select({ status: tests.status }).from(tests).where(eq(tests.id, parseInt(req.params.id)));
+        if ((status === "published" || current[0]?.status === "published") && !req.permissions.has("tests:publish")) {
+            return res.status(403).json({ error: "Тест нийтлэх эрх байхгүй" });
+        }
+
+        const outcome = await transitionTest(parseInt(req.params.id), status, { actorId: req.user.id, note });
+        if (outcome.issues.length > 0) {
+            return res.status(422).json({ error: "Тестийг нийтлэх боломжгүй", issues: outcome.issues });
+        }
+        res.json({ message: "Тестийн төлөв өөрчлөгдлөө", transition: outcome.transition });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Transition test error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Status history of a test, newest first
+router.get("/tests/:id/transitions", authMiddleware, requirePermission("tests:read"), async (req, res) => {
+    try {
+        const transitions = await listTestTransitions(parseInt(req.params.id));
+        res.json({ transitions });
+    } catch (error) {
+        console.error("Get test transitions error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Check a test against the publishing rules without changing it
+router.get("/tests/:id/validation", authMiddleware, requirePermission("tests:read"), async (req, res) => {
+    try {
+        const issues = await validateTestForPublish(parseInt(req.params.id));
+        res.json({ valid: issues.length === 0, issues });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Validate test error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+router.delete("/tests/:id", authMiddleware, requirePermission("tests:write"), audit("test.delete", { entity: "test" }), async (req, res) => {
+    try {
+        await deleteTest(parseInt(req.params.id));
         res.json({ message: "Test deleted" });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Delete test error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Delete question
-router.delete("/questions/:id", authMiddleware, adminMiddleware, async (req, res) => {
+// Norm tables of a test (all versions, newest first)
+router.get("/tests/:id/norms", authMiddleware, requirePermission("tests:read"), async (req, res) => {
     try {
-        const { id } = req.params;
-        await db.delete(questions).where(eq(questions.id, parseInt(id)));
-        res.json({ message: "Асуулт амжилттай устгагдлаа" });
+        const norms = await listNormTables(parseInt(req.params.id));
+        res.json(norms);
+    } catch (error) {
+        console.error("Get norms error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Upload a norm table: { method: "zscore", mean, sd } or { method: "table", points: [{ score, iq }] }
+router.post("/tests/:id/norms", authMiddleware, requirePermission("norms:manage"), audit("norm_table.upload", { entity: "norm_table", id: (req, body) => body?.norm?.id }), async (req, res) => {
+    try {
+        const norm = await uploadNormTable(parseInt(req.params.id), req.user.id, req.body);
+        res.status(201).json({ message: "Норм хүснэгт хадгалагдлаа", norm });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Upload norm error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Recompute the norm table from historical test results
+router.post("/tests/:id/norms/recompute", authMiddleware, requirePermission("norms:manage"), audit("norm_table.recompute", { entity: "norm_table", id: (req, body) => body?.norm?.id }), async (req, res) => {
+    try {
+        const norm = await recomputeNormTable(parseInt(req.params.id), req.user.id, req.body.method || "zscore");
+        res.status(201).json({ message: "Норм хүснэгт дахин тооцоологдлоо", norm });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Recompute norm error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Switch the active norm version
+router.post("/tests/:id/norms/:normId/activate", authMiddleware, requirePermission("norms:manage"), audit("norm_table.activate", { entity: "norm_table", id: (req) => req.params.normId }), async (req, res) => {
+    try {
+        await activateNormTable(parseInt(req.params.id), parseInt(req.params.normId));
+        res.json({ message: "Норм хүснэгт идэвхжлээ" });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Activate norm error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Export a test with its questions as a ZIP bundle (bundle.json + images/), or ?format=json without images
+router.get("/tests/:id/export", authMiddleware, requirePermission("tests:read", "questions:read"), async (req, res) => {
+    try {
+        const testId = parseInt(req.params.id);
+        if (req.query.format === "json") {
+            const { test, bundle } = await buildTestBundle(testId);
+            res.set("Content-Disposition", `attachment; filename="${test.slug}.json"`);
+            return res.json(bundle);
+        }
+
+        const { filename, buffer } = await exportTestZip(testId);
+        res.set({ "Content-Type": "application/zip", "Content-Disposition": `attachment; filename="${filename}"` });
+        res.send(buffer);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Export test error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Import a bundle (field "file", ZIP or JSON) as a new draft test. ?slug= overrides the bundle's slug,
+// ?dryRun=true only validates. Validation errors are returned per question with status 422.
+router.post("/tests/import", authMiddleware, requirePermission("tests:write", "questions:write"), importUpload.single("file"), audit("test.import", { entity: "test", id: (req, body) => body?.testId, after: "response" }), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: "Файл оруулна уу" });
+        }
+
+        const summary = await importTestBundle(req.file.buffer, { slug: req.query.slug || null, dryRun: req.query.dryRun === "true" });
+        if (summary.errors.length > 0) {
+            return res.status(422).json({ error: "Импортын өгөгдөл буруу байна", ...summary });
+        }
+        res.status(summary.dryRun ? 200 : 201).json(summary);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Import test error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Append the questions of a bundle to an existing test (?dryRun=true only validates)
+router.post("/tests/:id/import", authMiddleware, requirePermission("questions:write"), importUpload.single("file"), audit("test.import_questions", { entity: "test", after: "response" }), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: "Файл оруулна уу" });
+        }
+
+        const summary = await importTestBundle(req.file.buffer, { testId: parseInt(req.params.id), dryRun: req.query.dryRun === "true" });
+        if (summary.errors.length > 0) {
+            return res.status(422).json({ error: "Импортын өгөгдөл буруу байна", ...summary });
+        }
+        res.json(summary);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Import questions error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Import multiple-choice questions from CSV (field "file"). Columns: questionText, optionA, optionB, ..., correct,
+// difficulty, questionOrder. Errors are reported per row (row 1 is the header); ?dryRun=true only validates.
+router.post("/tests/:id/import-csv", authMiddleware, requirePermission("questions:write"), importUpload.single("file"), audit("test.import_csv", { entity: "test", after: "response" }), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: "Файл оруулна уу" });
+        }
+
+        const summary = await importQuestionsCsv(parseInt(req.params.id), req.file.buffer.toString("utf8"), { dryRun: req.query.dryRun === "true" });
+        if (summary.errors.length > 0) {
+            return res.status(422).json({ error: "Импортын өгөгдөл буруу байна", ...summary });
+        }
+        res.json(summary);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Import CSV error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// IRT item parameters of the questions in a test
+router.get("/tests/:id/item-parameters", authMiddleware, requirePermission("tests:read"), async (req, res) => {
+    try {
+        const testQuestions = await db
+            .select()
+            .from(questions)
+            .where(and(eq(questions.testId, parseInt(req.params.id)), isNull(questions.archivedAt)))
+            .orderBy(questions.questionOrder);
+        const questionIds = testQuestions.map((q) => q.id);
+        const calibrated = questionIds.length > 0 ? await db.select().from(itemParameters).where(inArray(itemParameters.questionId, questionIds)) : [];
+        const calibratedMap = new Map(calibrated.map((p) => [p.questionId, p]));
+
+        res.json(
+            testQuestions.map((q) => {
+                const params = calibratedMap.get(q.id);
+                if (params) return { questionId: q.id, calibrated: true, ...params };
+                const fallback = defaultParameters(q);
+                return { questionId: q.id, calibrated: false, model: "1pl", discrimination: fallback.a, difficulty: fallback.b, sampleSize: 0 };
+            })
+        );
+    } catch (error) {
+        console.error("Get item parameters error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Classical item statistics of a test's questions (?from=&to=&flagged=true for flagged items only)
+router.get("/tests/:id/item-stats", authMiddleware, requirePermission("stats:read"), async (req, res) => {
+    try {
+        const stats = await getTestItemStatistics(parseInt(req.params.id), parseDateRange(req.query));
+        if (req.query.flagged === "true") {
+            stats.items = stats.items.filter((item) => item.flags.length > 0);
+        }
+        res.json(stats);
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get item stats error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Calibrate IRT item parameters of a test from answer history: { model: "1pl" | "2pl" }
+router.post("/tests/:id/calibrate", authMiddleware, requirePermission("norms:manage"), audit("test.calibrate", { entity: "test", after: "response" }), async (req, res) => {
+    try {
+        const result = await calibrateTest(parseInt(req.params.id), req.body.model || "1pl");
+        res.json({ message: "Калибровк амжилттай", ...result });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Calibrate test error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Refund a paid attempt that failed on the server side
+router.post("/attempts/:id/refund", authMiddleware, requirePermission("attempts:refund"), audit("attempt.refund", { entity: "attempt" }), async (req, res) => {
+    try {
+        const result = await refundAttempt(parseInt(req.params.id), { reason: req.body.reason || "Админ буцаан олголт", adminId: req.user.id });
+        res.json({ message: result.refunded ? "Төлбөр буцаагдлаа" : "Буцаах төлбөр олдсонгүй", ...result });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Refund attempt error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Delete question. Questions with revisions or answers are archived so past results keep rendering.
+router.delete("/questions/:id", authMiddleware, requirePermission("questions:write"), audit("question.delete", { entity: "question" }), async (req, res) => {
+    try {
+        const result = await deleteQuestion(parseInt(req.params.id));
+        res.json({ message: "Асуулт амжилттай устгагдлаа", ...result });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Delete question error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
 // Update question (replace options and images)
-router.patch("/questions/:id", authMiddleware, adminMiddleware, async (req, res) => {
+router.patch("/questions/:id", authMiddleware, requirePermission("questions:write"), audit("question.update", { entity: "question" }), async (req, res) => {
     try {
         const { id } = req.params;
         const { questionText, imageUrls, options, questionType, correctAnswer, difficulty, gridData } = req.body;
@@ -449,100 +1051,127 @@ router.patch("/questions/:id", authMiddleware, adminMiddleware, async (req, res)
             updateCorrect = JSON.stringify(updateCorrect);
         }
 
-        await db
-            .update(questions)
-            .set({
-                questionText,
-                difficulty: typeof difficulty !== "undefined" ? difficulty : 2,
-                questionType: qType,
-                correctAnswer: updateCorrect || null,
-                gridData: gridData ? JSON.stringify(gridData) : null,
-            })
-            .where(eq(questions.id, parseInt(id)));
-
-        // Remove existing images and options
-        await db.delete(questionImages).where(eq(questionImages.questionId, parseInt(id)));
-        await db.delete(questionOptions).where(eq(questionOptions.questionId, parseInt(id)));
-
-        // Ensure question still exists before inserting child rows
-        const existsRes = await db
-            .select({ count: sql`COUNT(*)` })
+        const questionId = parseInt(id);
+        const existing = await db
+            .select({ id: questions.id })
             .from(questions)
-            .where(eq(questions.id, parseInt(id)));
-        if (!existsRes || existsRes[0].count === 0) {
+            .where(and(eq(questions.id, questionId), isNull(questions.archivedAt)));
+        if (existing.length === 0) {
             return res.status(404).json({ error: "Question not found" });
         }
 
-        // Insert new images (move from tmp to final if needed)
-        if (imageUrls && Array.isArray(imageUrls) && imageUrls.length > 0) {
-            for (let i = 0; i < imageUrls.length; i++) {
-                const finalImageUrl = moveImageToFinal(imageUrls[i]);
-                await db.insert(questionImages).values({ questionId: parseInt(id), imageUrl: finalImageUrl, imageOrder: i });
-            }
+        // Move new uploads out of tmp first (storage moves are not part of the transaction)
+        const finalImageUrls = [];
+        for (const url of Array.isArray(imageUrls) ? imageUrls : []) {
+            finalImageUrls.push(await promoteUpload(url));
         }
-
-        // Insert new options (only for multiple_choice)
+        const finalOptions = [];
         if (qType === "multiple_choice" && Array.isArray(options)) {
-            for (const opt of options) {
-                if (!opt.label || !opt.optionText) continue;
-                const finalOptionImageUrl = opt.imageUrl ? moveImageToFinal(opt.imageUrl) : null;
-                await db.insert(questionOptions).values({ questionId: parseInt(id), label: opt.label, optionText: opt.optionText, imageUrl: finalOptionImageUrl, isCorrect: opt.isCorrect ? 1 : 0 });
+            for (const opt of options.filter((o) => o.label && o.optionText)) {
+                const imageUrl = opt.imageUrl ? await promoteUpload(opt.imageUrl) : null;
+                finalOptions.push({ label: opt.label, optionText: opt.optionText, imageUrl, isCorrect: opt.isCorrect ? 1 : 0 });
             }
         }
 
-        res.json({ message: "Асуулт амжилттай шинэчлэгдлээ" });
+        const revisionId = await db.transaction(async (tx) => {
+            await tx
+                .update(questions)
+                .set({
+                    questionText,
+                    difficulty: typeof difficulty !== "undefined" ? difficulty : 2,
+                    questionType: qType,
+                    correctAnswer: updateCorrect || null,
+                    gridData: gridData ? JSON.stringify(gridData) : null,
+                })
+                .where(eq(questions.id, questionId));
+
+            // Replace images
+            await tx.delete(questionImages).where(eq(questionImages.questionId, questionId));
+            for (let i = 0; i < finalImageUrls.length; i++) {
+                await tx.insert(questionImages).values({ questionId, imageUrl: finalImageUrls[i], imageOrder: i });
+            }
+
+            // Options are updated in place by label, so stored answers keep pointing at the same row.
+            // Removed options are deleted; answers that chose them keep their label and revision.
+            const currentOptions = await tx.select().from(questionOptions).where(eq(questionOptions.questionId, questionId));
+            const unmatched = new Map(currentOptions.map((o) => [o.label, o]));
+            for (const opt of finalOptions) {
+                const current = unmatched.get(opt.label);
+                if (current) {
+                    await tx.update(questionOptions).set(opt).where(eq(questionOptions.id, current.id));
+                    unmatched.delete(opt.label);
+                } else {
+                    await tx.insert(questionOptions).values({ questionId, ...opt });
+                }
+            }
+            if (unmatched.size > 0) {
+                await tx.delete(questionOptions).where(inArray(questionOptions.id, [...unmatched.values()].map((o) => o.id)));
+            }
+
+            return createRevision(tx, questionId, req.user.id);
+        });
+
+        res.json({ message: "Асуулт амжилттай шинэчлэгдлээ", revisionId });
     } catch (error) {
         console.error("Update question error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Auto-cleanup old temp files (runs every 30 minutes)
-const TMP_DIR = path.join(__dirname, "../../uploads/tmp");
-const CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes
-const MAX_AGE = 60 * 60 * 1000; // 1 hour
-
-setInterval(async () => {
+// Item statistics of one question (?from=&to=)
+router.get("/questions/:id/stats", authMiddleware, requirePermission("stats:read"), async (req, res) => {
     try {
-        await fsp.access(TMP_DIR).catch(() => null);
-        const files = await fsp.readdir(TMP_DIR);
-
-        let deletedCount = 0;
+        res.json(await getQuestionItemStatistics(parseInt(req.params.id), parseDateRange(req.query)));
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get question stats error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
 
-        for (const file of files) {
-            const fullPath = path.join(TMP_DIR, file);
-            const stat = await fsp.stat(fullPath);
+// Revision history of a question, newest first
+router.get("/questions/:id/revisions", authMiddleware, requirePermission("questions:read"), async (req, res) => {
+    try {
+        const revisions = await listRevisions(parseInt(req.params.id));
+        res.json({ revisions });
+    } catch (error) {
+        console.error("List question revisions error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
 
-            if (Date.now() - stat.mtimeMs > MAX_AGE) {
-                await fsp.unlink(fullPath);
-                deletedCount++;
-            }
+// Compare two revisions (?from=&to=, defaults to the latest one against the one before it)
+router.get("/questions/:id/revisions/diff", authMiddleware, requirePermission("questions:read"), async (req, res) => {
+    try {
+        const from = req.query.from ? parseInt(req.query.from) : null;
+        const to = req.query.to ? parseInt(req.query.to) : null;
+        if ((req.query.from && !(from > 0)) || (req.query.to && !(to > 0))) {
+            return res.status(400).json({ error: "Хувилбарын дугаар буруу байна" });
         }
-
-        if (deletedCount > 0) {
-            console.log(`🧹 Cleaned ${deletedCount} old temp file(s)`);
+        const diff = await diffRevisions(parseInt(req.params.id), from, to);
+        res.json(diff);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
         }
-    } catch (err) {
-        console.error("Temp cleanup error:", err);
+        console.error("Diff question revisions error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
     }
-}, CLEANUP_INTERVAL);
+});
 
-// Initial cleanup on server start
-setTimeout(() => {
+router.get("/questions/:id/revisions/:revision", authMiddleware, requirePermission("questions:read"), async (req, res) => {
     try {
-        if (!fs.existsSync(TMP_DIR)) return;
-        const files = fs.readdirSync(TMP_DIR);
-        files.forEach((file) => {
-            const fullPath = path.join(TMP_DIR, file);
-            const stat = fs.statSync(fullPath);
-            if (Date.now() - stat.mtimeMs > MAX_AGE) {
-                fs.unlinkSync(fullPath);
-            }
-        });
-        console.log("✅ Initial temp cleanup completed");
+        const revision = await getRevision(parseInt(req.params.id), parseInt(req.params.revision));
+        res.json({ revision });
     } catch (error) {
-        console.error("Initial cleanup error:", error);
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get question revision error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
     }
-}, 5000); // 5 seconds after server start
+});
 
 export default router;
@@ -1,17 +1,42 @@
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { body, validationResult } from "express-validator";
 import { db } from "../db/index.js";
 import { users } from "../db/schema.js";
 import { eq } from "drizzle-orm";
 import { authMiddleware } from "../middleware/auth.js";
+import { issueSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from "../services/sessions.js";
+import { sendVerificationEmail, verifyEmail, requestPasswordReset, resetPassword } from "../services/accountTokens.js";
+import { rateLimit, sendTooManyRequests } from "../middleware/rateLimit.js";
+import { getLoginLockout, recordLoginFailure, clearLoginFailures } from "../services/loginThrottle.js";
+import { isTwoFactorEnabled, requiresTwoFactor, createLoginChallenge, readLoginChallenge, verifySecondFactor, beginTotpSetup, enableTotp, disableTotp, regenerateRecoveryCodes, countRemainingRecoveryCodes } from "../services/twoFactor.js";
+import { getUserAccess } from "../services/permissions.js";
+import { ServiceError } from "../utils/errors.js";
 
 const router = express.Router();
 
+function sessionMeta(req) {
+    return { userAgent: req.headers["user-agent"], ip: req.ip };
+}
+
+function serializeUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        balance: user.balance,
+        emailVerified: Boolean(user.emailVerifiedAt),
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        // Admins without 2FA can log in, but must enroll before the admin API accepts them
+        twoFactorSetupRequired: requiresTwoFactor(user) && !isTwoFactorEnabled(user),
+    };
+}
+
 // Register
 router.post(
     "/register",
+    rateLimit("register"),
     [body("username").isLength({ min: 3 }).withMessage("Хэрэглэгчийн нэр хамгийн багадаа 3 тэмдэгт байх ёстой"), body("email").isEmail().withMessage("Зөв имэйл хаяг оруулна уу"), body("password").isLength({ min: 6 }).withMessage("Нууц үг хамгийн багадаа 6 тэмдэгт байх ёстой")],
     async (req, res) => {
         try {
@@ -49,13 +74,16 @@ router.post(
 
             const newUserId = result[0].insertId;
 
-            // Generate token
-            const token = jwt.sign({ id: newUserId, username, email, role: "user" }, process.env.JWT_SECRET, { expiresIn: "7d" });
+            // A failed email must not fail the registration, the user can ask for a new link
+            sendVerificationEmail({ id: newUserId, username, email, emailVerifiedAt: null }).catch((error) => console.error("Send verification email error:", error));
+
+            // Generate tokens
+            const session = await issueSession({ id: newUserId, username, email, role: "user", tokenVersion: 0 }, sessionMeta(req));
 
             res.status(201).json({
                 message: "Бүртгэл амжилттай",
-                token,
-                user: { id: newUserId, username, email, role: "user", balance: "0.00" },
+                ...session,
+                user: { id: newUserId, username, email, role: "user", balance: "0.00", emailVerified: false, twoFactorEnabled: false, twoFactorSetupRequired: false },
             });
         } catch (error) {
             console.error("Register error:", error);
@@ -65,7 +93,7 @@ router.post(
 );
 
 // Login
-router.post("/login", [body("email").isEmail().withMessage("Зөв имэйл хаяг оруулна уу"), body("password").notEmpty().withMessage("Нууц үг оруулна уу")], async (req, res) => {
+router.post("/login", rateLimit("login"), [body("email").isEmail().withMessage("Зөв имэйл хаяг оруулна уу"), body("password").notEmpty().withMessage("Нууц үг оруулна уу")], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -74,11 +102,25 @@ router.post("/login", [body("email").isEmail().withMessage("Зөв имэйл х
 
         const { email, password } = req.body;
 
+        // Refuse locked IPs and accounts before touching the password
+        const lockedFor = await getLoginLockout(req.ip, email);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor);
+        }
+
+        const rejectLogin = async () => {
+            const retryAfter = await recordLoginFailure(req.ip, email);
+            if (retryAfter > 0) {
+                return sendTooManyRequests(res, retryAfter);
+            }
+            return res.status(401).json({ error: "Имэйл эсвэл нууц үг буруу" });
+        };
+
         // Find user
         const userResult = await db.select().from(users).where(eq(users.email, email));
 
         if (userResult.length === 0) {
-            return res.status(401).json({ error: "Имэйл эсвэл нууц үг буруу" });
+            return rejectLogin();
         }
 
         const user = userResult[0];
@@ -86,22 +128,23 @@ router.post("/login", [body("email").isEmail().withMessage("Зөв имэйл х
         // Check password
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
-            return res.status(401).json({ error: "Имэйл эсвэл нууц үг буруу" });
+            return rejectLogin();
         }
 
-        // Generate token
-        const token = jwt.sign({ id: user.id, username: user.username, email: user.email, role: user.role }, process.env.JWT_SECRET, { expiresIn: "7d" });
+        // With 2FA the password only earns a challenge; failures are cleared after the second step
+        if (isTwoFactorEnabled(user)) {
+            return res.json({ message: "Баталгаажуулах код оруулна уу", mfaRequired: true, mfaToken: createLoginChallenge(user) });
+        }
+
+        await clearLoginFailures(email);
+
+        // Generate tokens
+        const session = await issueSession(user, sessionMeta(req));
 
         res.json({
             message: "Нэвтрэлт амжилттай",
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                balance: user.balance,
-            },
+            ...session,
+            user: serializeUser(user),
         });
     } catch (error) {
         console.error("Login error:", error);
@@ -109,8 +152,181 @@ router.post("/login", [body("email").isEmail().withMessage("Зөв имэйл х
     }
 });
 
+// Login step two: the challenge token from /login plus a TOTP code or a recovery code
+router.post("/login/2fa", rateLimit("login"), [body("mfaToken").isString().notEmpty().withMessage("Token шаардлагатай"), body().custom((value) => Boolean(value.code || value.recoveryCode)).withMessage("Баталгаажуулах код оруулна уу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await readLoginChallenge(req.body.mfaToken);
+
+        const lockedFor = await getLoginLockout(req.ip, user.email);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor);
+        }
+
+        const isValidCode = await verifySecondFactor(user, { code: req.body.code, recoveryCode: req.body.recoveryCode });
+        if (!isValidCode) {
+            const retryAfter = await recordLoginFailure(req.ip, user.email);
+            if (retryAfter > 0) {
+                return sendTooManyRequests(res, retryAfter);
+            }
+            return res.status(401).json({ error: "Баталгаажуулах код буруу" });
+        }
+
+        await clearLoginFailures(user.email);
+        const session = await issueSession(user, sessionMeta(req), { mfa: true });
+
+        res.json({
+            message: "Нэвтрэлт амжилттай",
+            ...session,
+            user: serializeUser(user),
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Login 2FA error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", [body("refreshToken").isString().notEmpty().withMessage("Refresh token шаардлагатай")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, sessionMeta(req));
+        res.json({ token, refreshToken, expiresIn });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Refresh token error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Logout: revoke the session of the given refresh token
+router.post("/logout", async (req, res) => {
+    try {
+        await revokeRefreshToken(req.body.refreshToken);
+        res.json({ message: "Амжилттай гарлаа" });
+    } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Logout from every device
+router.post("/logout-all", authMiddleware, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.id);
+        res.json({ message: "Бүх төхөөрөмжөөс гарлаа" });
+    } catch (error) {
+        console.error("Logout all error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Send a new email verification link
+router.post("/verify-email/request", authMiddleware, rateLimit("email"), async (req, res) => {
+    try {
+        const userResult = await db.select().from(users).where(eq(users.id, req.user.id));
+
+        if (userResult.length === 0) {
+            return res.status(404).json({ error: "Хэрэглэгч олдсонгүй" });
+        }
+        if (userResult[0].emailVerifiedAt) {
+            return res.status(400).json({ error: "Имэйл аль хэдийн баталгаажсан байна" });
+        }
+
+        await sendVerificationEmail(userResult[0]);
+        res.json({ message: "Баталгаажуулах холбоос илгээгдлээ" });
+    } catch (error) {
+        console.error("Request verification error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Verify email with the token from the link
+router.post("/verify-email", [body("token").isString().notEmpty().withMessage("Token шаардлагатай")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await verifyEmail(req.body.token);
+        res.json({ message: "Имэйл амжилттай баталгаажлаа" });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Verify email error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Request a password reset link
+router.post("/forgot-password", rateLimit("email"), [body("email").isEmail().withMessage("Зөв имэйл хаяг оруулна уу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await requestPasswordReset(req.body.email);
+        res.json({ message: "Хэрэв имэйл бүртгэлтэй бол нууц үг сэргээх холбоос илгээгдлээ" });
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Set a new password with the token from the reset link
+router.post("/reset-password", [body("token").isString().notEmpty().withMessage("Token шаардлагатай"), body("password").isLength({ min: 6 }).withMessage("Нууц үг хамгийн багадаа 6 тэмдэгт байх ёстой")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await resetPassword(req.body.token, req.body.password);
+        res.json({ message: "Нууц үг амжилттай шинэчлэгдлээ" });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Reset password error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
 // Get current user
 router.get("/me", authMiddleware, async (req, res) => {
+    try {
+        const userResult = await db.select().from(users).where(eq(users.id, req.user.id));
+
+        if (userResult.length === 0) {
+            return res.status(404).json({ error: "Хэрэглэгч олдсонгүй" });
+        }
+
+        const access = await getUserAccess(req.user.id);
+        res.json({ ...serializeUser(userResult[0]), permissions: access ? [...access.permissions] : [] });
+    } catch (error) {
+        console.error("Get user error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// 2FA status of the current user
+router.get("/2fa", authMiddleware, async (req, res) => {
     try {
         const userResult = await db.select().from(users).where(eq(users.id, req.user.id));
 
@@ -120,14 +336,90 @@ router.get("/me", authMiddleware, async (req, res) => {
 
         const user = userResult[0];
         res.json({
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            balance: user.balance,
+            enabled: isTwoFactorEnabled(user),
+            required: requiresTwoFactor(user),
+            remainingRecoveryCodes: isTwoFactorEnabled(user) ? await countRemainingRecoveryCodes(user.id) : 0,
         });
     } catch (error) {
-        console.error("Get user error:", error);
+        console.error("Get 2FA status error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Start 2FA enrollment: returns the secret, its otpauth:// URI and a QR code data URL
+router.post("/2fa/setup", authMiddleware, async (req, res) => {
+    try {
+        res.json(await beginTotpSetup(req.user.id));
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("2FA setup error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Confirm enrollment with a code from the app. Returns the recovery codes (shown only once)
+// and a new session that has passed the second factor.
+router.post("/2fa/enable", authMiddleware, [body("code").isString().notEmpty().withMessage("Баталгаажуулах код оруулна уу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { user, recoveryCodes } = await enableTotp(req.user.id, req.body.code);
+        const session = await issueSession(user, sessionMeta(req), { mfa: true });
+
+        res.json({
+            message: "Хоёр шатлалт баталгаажуулалт идэвхжлээ",
+            recoveryCodes,
+            ...session,
+            user: serializeUser(user),
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("2FA enable error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Turn 2FA off (not allowed for admins)
+router.post("/2fa/disable", authMiddleware, [body("password").notEmpty().withMessage("Нууц үг оруулна уу"), body("code").isString().notEmpty().withMessage("Баталгаажуулах код оруулна уу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await disableTotp(req.user.id, req.body.password, req.body.code);
+        res.json({ message: "Хоёр шатлалт баталгаажуулалт унтарлаа" });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("2FA disable error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Replace the recovery codes; the old ones stop working
+router.post("/2fa/recovery-codes", authMiddleware, [body("code").isString().notEmpty().withMessage("Баталгаажуулах код оруулна уу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.id, req.body.code);
+        res.json({ recoveryCodes });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("2FA recovery codes error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
@@ -0,0 +1,89 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import { authMiddleware } from "../middleware/auth.js";
+import { createTopUp, getTopUp, listTopUps, handlePaymentWebhook } from "../services/topups.js";
+import { mockProvider } from "../services/payments/mock.js";
+import { mockPaymentsEnabled } from "../services/payments/index.js";
+import { ServiceError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Create a top-up invoice
+router.post("/topups", authMiddleware, [body("amount").isFloat({ min: 1, max: 1000000 }).withMessage("Дүн буруу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const invoice = await createTopUp(req.user.id, req.body.amount);
+        res.status(201).json(invoice);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Create top-up error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Get user's top-ups
+router.get("/topups", authMiddleware, async (req, res) => {
+    try {
+        const invoices = await listTopUps(req.user.id);
+        res.json(invoices);
+    } catch (error) {
+        console.error("Get top-ups error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Get a top-up (checks the provider while it is pending)
+router.get("/topups/:id", authMiddleware, async (req, res) => {
+    try {
+        const invoice = await getTopUp(req.user.id, parseInt(req.params.id));
+        res.json(invoice);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get top-up error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Provider callback (signed, no user auth)
+router.post("/webhooks/:provider", async (req, res) => {
+    try {
+        const invoice = await handlePaymentWebhook(req.params.provider, { headers: req.headers, rawBody: req.rawBody });
+        res.json({ received: true, status: invoice.status });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Payment webhook error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Mock provider payment page: pays the invoice and delivers the signed callback.
+// Only exists while mock payments are enabled.
+router.post("/mock/:invoiceId/pay", async (req, res) => {
+    try {
+        if (!mockPaymentsEnabled()) {
+            return res.status(404).json({ error: "Хуудас олдсонгүй" });
+        }
+
+        const callback = mockProvider.simulatePayment(req.params.invoiceId);
+        const invoice = await handlePaymentWebhook(mockProvider.name, callback);
+        res.json({ message: "Төлбөр төлөгдлөө", status: invoice.status });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Mock payment error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+export default router;
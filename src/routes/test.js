@@ -1,138 +1,154 @@
 import express from "express";
 import { db } from "../db/index.js";
-import { questions, testResults, userAnswers, tests, questionOptions } from "../db/schema.js";
-import { eq, desc, sql } from "drizzle-orm";
+import { questions, testResults, userAnswers, questionOptions, tests } from "../db/schema.js";
+import { and, eq, gte, lte, inArray, sql } from "drizzle-orm";
+import { body, validationResult } from "express-validator";
 import { authMiddleware } from "../middleware/auth.js";
+import { startAttempt, resumeAttemptBySlug, getAttempt, submitAttempt, getNextQuestion, answerAdaptiveQuestion } from "../services/attempts.js";
+import { unlockResultDetails } from "../services/purchases.js";
+import { hasPermission } from "../services/permissions.js";
+import { loadRevisions, revisionCorrectAnswer } from "../services/questionRevisions.js";
+import { ServiceError } from "../utils/errors.js";
+import { toCents } from "../utils/money.js";
+import { parseListQuery, pageResult, parseDateRange } from "../utils/pagination.js";
 
 const router = express.Router();
 
-// Get random questions for test (20 questions)
-router.get("/questions", authMiddleware, async (req, res) => {
+// Get the questions of the user's unfinished attempt on a test. Attempts are started with POST /attempts.
+router.get("/:slug/questions", authMiddleware, async (req, res) => {
     try {
-        const allQuestions = await db
-            .select({
-                id: questions.id,
-                questionText: questions.questionText,
-                imageUrl: questions.imageUrl,
-            })
-            .from(questions);
-
-        // Shuffle and take 20 questions
-        const shuffled = allQuestions.sort(() => Math.random() - 0.5);
-        const selectedQuestions = shuffled.slice(0, 20);
-
-        // Fetch options for selected questions
-        const questionIds = selectedQuestions.map((q) => q.id);
-        const allOptions = await db.select().from(questionOptions);
-        const optionsMap = new Map();
-        allOptions.forEach((opt) => {
-            const arr = optionsMap.get(opt.questionId) || [];
-            arr.push({ label: opt.label, optionText: opt.optionText });
-            optionsMap.set(opt.questionId, arr);
-        });
-        // Attach options (without revealing which is correct)
-        const selectedWithOptions = selectedQuestions.map((q) => ({
-            ...q,
-            options: optionsMap.get(q.id) || [],
-        }));
-
-        // Try to get a published test to read duration and totalQuestions
-        const allTests = await db.select().from(tests);
-        const test = (allTests && allTests.find((t) => t.published === 1)) || (allTests && allTests[0]) || null;
-        const durationMinutes = test ? test.durationMinutes : null;
-        const totalQuestions = test ? test.totalQuestions : selectedQuestions.length;
-
-        res.json({ durationMinutes, totalQuestions, questions: selectedWithOptions });
+        const result = await resumeAttemptBySlug(req.user.id, req.params.slug);
+        res.json(result);
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Get questions error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Submit test answers
-router.post("/submit", authMiddleware, async (req, res) => {
+// Start (or resume) an attempt for a test
+router.post("/attempts", authMiddleware, [body("testId").isInt().withMessage("Тестийн ID буруу")], async (req, res) => {
     try {
-        const { answers } = req.body; // Array of { questionId, selectedAnswer }
-
-        if (!answers || !Array.isArray(answers) || answers.length === 0) {
-            return res.status(400).json({ error: "Хариултууд шаардлагатай" });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        let correctCount = 0;
-        const totalQuestions = answers.length;
+        const result = await startAttempt(req.user.id, parseInt(req.body.testId));
+        res.status(201).json(result);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Start attempt error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
 
-        // Get correct answers for all questions via questionOptions
-        const optionsData = await db.select().from(questionOptions);
-        const correctMap = new Map();
-        optionsData.forEach((o) => {
-            if (o.isCorrect) correctMap.set(o.questionId, o.label);
-        });
+// Get an attempt with the questions served in it
+router.get("/attempts/:id", authMiddleware, async (req, res) => {
+    try {
+        const result = await getAttempt(req.user.id, parseInt(req.params.id));
+        res.json(result);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get attempt error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
 
-        // Calculate score
-        const answerResults = answers.map((answer) => {
-            const correctAnswer = correctMap.get(answer.questionId);
-            const isCorrect = answer.selectedAnswer === correctAnswer;
-            if (isCorrect) correctCount++;
-            return {
-                questionId: answer.questionId,
-                selectedAnswer: answer.selectedAnswer,
-                isCorrect: isCorrect ? 1 : 0,
-            };
-        });
+// Get the current question of an adaptive attempt
+router.get("/attempts/:id/next", authMiddleware, async (req, res) => {
+    try {
+        const result = await getNextQuestion(req.user.id, parseInt(req.params.id));
+        res.json(result);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Get next question error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
 
-        // Calculate IQ score (simplified formula)
-        // Base IQ is 100, each correct answer adds/subtracts from this
-        const percentage = (correctCount / totalQuestions) * 100;
-        let iqScore;
-        if (percentage >= 90) iqScore = 130 + Math.floor((percentage - 90) * 2);
-        else if (percentage >= 75) iqScore = 115 + Math.floor((percentage - 75) * 1);
-        else if (percentage >= 50) iqScore = 100 + Math.floor((percentage - 50) * 0.6);
-        else if (percentage >= 25) iqScore = 85 + Math.floor((percentage - 25) * 0.6);
-        else iqScore = 70 + Math.floor(percentage * 0.6);
-
-        // Save test result
-        const testResultInsert = await db.insert(testResults).values({
-            userId: req.user.id,
-            score: correctCount,
-            totalQuestions,
-            iqScore,
-        });
+// Answer the current question of an adaptive attempt: { questionId, answer }
+router.post("/attempts/:id/answer", authMiddleware, [body("questionId").isInt().withMessage("Асуултын ID буруу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        const testResultId = testResultInsert[0].insertId;
+        const { questionId, answer, selectedAnswer } = req.body;
+        const result = await answerAdaptiveQuestion(req.user.id, parseInt(req.params.id), parseInt(questionId), typeof answer !== "undefined" ? answer : selectedAnswer);
+        res.json(result);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Answer question error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
 
-        // Save individual answers
-        for (const answer of answerResults) {
-            await db.insert(userAnswers).values({
-                testResultId,
-                questionId: answer.questionId,
-                selectedAnswer: answer.selectedAnswer,
-                isCorrect: answer.isCorrect,
-            });
+// Submit test answers for an attempt
+router.post("/submit", authMiddleware, [body("attemptId").isInt().withMessage("Оролдлогын ID буруу"), body("answers").isArray().withMessage("Хариултууд шаардлагатай"), body("answers.*").isObject().withMessage("Хариулт буруу")], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
+        const { attemptId, answers } = req.body; // answers: Array of { questionId, selectedAnswer, timeSpentMs? }
+
+        const result = await submitAttempt(req.user.id, parseInt(attemptId), answers);
+
         res.json({
             message: "Тест амжилттай илгээгдлээ",
-            result: {
-                id: testResultId,
-                score: correctCount,
-                totalQuestions,
-                iqScore,
-                percentage: Math.round(percentage),
-            },
+            result,
         });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Submit test error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Get user's test history
+const HISTORY_SORTS = { id: testResults.id, completedAt: testResults.completedAt, iqScore: testResults.iqScore, score: testResults.score };
+
+// Get user's test history (?testId=&from=&to=&sort=&limit=&page=|cursor=)
 router.get("/history", authMiddleware, async (req, res) => {
     try {
-        const results = await db.select().from(testResults).where(eq(testResults.userId, req.user.id)).orderBy(desc(testResults.completedAt));
+        const list = parseListQuery(req.query, { sortable: HISTORY_SORTS, defaultSort: "-completedAt", idColumn: testResults.id });
+        const { from, to } = parseDateRange(req.query);
+
+        const conditions = [eq(testResults.userId, req.user.id)];
+        if (req.query.testId) conditions.push(eq(testResults.testId, parseInt(req.query.testId) || 0));
+        if (from) conditions.push(gte(testResults.completedAt, from));
+        if (to) conditions.push(lte(testResults.completedAt, to));
+        const where = and(...conditions);
 
-        res.json(results);
+        const totalResult = await db.select({ count: sql`COUNT(*)` }).from(testResults).where(where);
+        const rows = await db
+            .select({ result: testResults, testTitle: tests.title, testSlug: tests.slug })
+            .from(testResults)
+            .leftJoin(tests, eq(tests.id, testResults.testId))
+            .where(and(where, list.where))
+            .orderBy(...list.orderBy)
+            .limit(list.limit + 1)
+            .offset(list.offset);
+
+        res.json(pageResult(rows.map(({ result, testTitle, testSlug }) => ({ ...result, testTitle, testSlug })), list, totalResult[0].count));
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Get history error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
@@ -152,31 +168,65 @@ router.get("/result/:id", authMiddleware, async (req, res) => {
             return res.status(404).json({ error: "Тест олдсонгүй" });
         }
 
-        if (result[0].userId !== req.user.id && req.user.role !== "admin") {
+        // Staff with results:read see every result in full; the role claim skips the lookup for regular users
+        const canReadAll = req.user.role !== "user" && req.user.mfa === true && (await hasPermission(req.user.id, "results:read"));
+
+        if (result[0].userId !== req.user.id && !canReadAll) {
             return res.status(403).json({ error: "Хандах эрхгүй" });
         }
 
+        // Paid breakdown: only the summary is shown until the user unlocks it
+        if (!result[0].detailsUnlockedAt && !canReadAll && result[0].testId) {
+            const testRows = await db
+                .select({ resultUnlockPrice: tests.resultUnlockPrice })
+                .from(tests)
+                .where(eq(tests.id, result[0].testId));
+            if (testRows.length > 0 && toCents(testRows[0].resultUnlockPrice || 0) > 0) {
+                return res.json({ ...result[0], locked: true, unlockPrice: testRows[0].resultUnlockPrice, answers: [] });
+            }
+        }
+
         const answers = await db
             .select({
                 questionId: userAnswers.questionId,
-                selectedAnswer: userAnswers.selectedAnswer,
+                questionRevisionId: userAnswers.questionRevisionId,
+                selectedAnswer: userAnswers.answerText,
                 isCorrect: userAnswers.isCorrect,
                 questionText: questions.questionText,
+                questionType: questions.questionType,
+                questionCorrectAnswer: questions.correctAnswer,
             })
             .from(userAnswers)
             .innerJoin(questions, eq(userAnswers.questionId, questions.id))
             .where(eq(userAnswers.testResultId, parseInt(id)));
 
-        // Attach options and correct answer label to each answer
-        const opts = await db.select().from(questionOptions);
+        // Answers are shown as the question read when it was answered. Answers saved before
+        // revisions existed fall back to the current question.
+        const revisions = await loadRevisions(answers.map((a) => a.questionRevisionId));
+        const legacyIds = [...new Set(answers.filter((a) => !revisions.has(a.questionRevisionId)).map((a) => a.questionId))];
+        const opts = legacyIds.length > 0 ? await db.select().from(questionOptions).where(inArray(questionOptions.questionId, legacyIds)) : [];
         const optsMap = new Map();
         opts.forEach((o) => {
             const arr = optsMap.get(o.questionId) || [];
             arr.push({ label: o.label, optionText: o.optionText, isCorrect: o.isCorrect });
             optsMap.set(o.questionId, arr);
         });
-        const answersWithOptions = answers.map((a) => {
+        const answersWithOptions = answers.map(({ questionCorrectAnswer, questionRevisionId, ...a }) => {
+            const revision = revisions.get(questionRevisionId);
+            if (revision) {
+                return {
+                    ...a,
+                    questionText: revision.questionText,
+                    questionType: revision.questionType,
+                    revision: revision.revision,
+                    options: revision.options.map((o) => ({ label: o.label, optionText: o.optionText })),
+                    correctAnswer: revisionCorrectAnswer(revision),
+                };
+            }
             const options = (optsMap.get(a.questionId) || []).map((o) => ({ label: o.label, optionText: o.optionText }));
+            if (a.questionType !== "multiple_choice") {
+                return { ...a, options, correctAnswer: questionCorrectAnswer };
+            }
             const correct = (optsMap.get(a.questionId) || []).find((o) => o.isCorrect);
             return { ...a, options, correctAnswer: correct ? correct.label : null };
         });
@@ -191,4 +241,18 @@ router.get("/result/:id", authMiddleware, async (req, res) => {
     }
 });
 
+// Pay for the detailed breakdown of a result
+router.post("/result/:id/unlock", authMiddleware, async (req, res) => {
+    try {
+        const result = await unlockResultDetails(req.user.id, parseInt(req.params.id));
+        res.json({ message: "Дэлгэрэнгүй үр дүн нээгдлээ", ...result });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Unlock result error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
 export default router;
@@ -0,0 +1,151 @@
+import express from "express";
+import { db } from "../db/index.js";
+import { tests, questions, testResults, testVersions } from "../db/schema.js";
+import { and, eq, desc, asc, inArray, isNull, like, or, gte, lte, sql } from "drizzle-orm";
+import { optionalAuthMiddleware } from "../middleware/auth.js";
+import { parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const SORTS = {
+    newest: desc(tests.createdAt),
+    title: asc(tests.title),
+    duration: asc(tests.durationMinutes),
+};
+
+// Number of questions one attempt of the test serves
+function effectiveQuestionCount(test, available) {
+    return test.questionCount > 0 ? Math.min(test.questionCount, available) : available;
+}
+
+function serializeTest(test, available, myStats) {
+    const item = {
+        id: test.id,
+        slug: test.slug,
+        title: test.title,
+        description: test.description,
+        durationMinutes: test.durationMinutes,
+        price: test.price,
+        resultUnlockPrice: test.resultUnlockPrice,
+        totalQuestions: effectiveQuestionCount(test, available),
+        createdAt: test.createdAt,
+    };
+    if (myStats !== undefined) item.myStats = myStats;
+    return item;
+}
+
+// Questions attempts are served from: the ones pinned in the published version, or the current
+// questions for tests published before versions existed. Draft edits after publishing do not count.
+async function countQuestions(testRows) {
+    const counts = new Map();
+    const versionIds = testRows.map((t) => t.publishedVersionId).filter(Boolean);
+    if (versionIds.length > 0) {
+        const versions = await db
+            .select({ testId: testVersions.testId, count: sql`JSON_LENGTH(${testVersions.questions})` })
+            .from(testVersions)
+            .where(inArray(testVersions.id, versionIds));
+        versions.forEach((v) => counts.set(v.testId, Number(v.count)));
+    }
+
+    const legacyIds = testRows.filter((t) => !t.publishedVersionId).map((t) => t.id);
+    if (legacyIds.length > 0) {
+        const rows = await db
+            .select({ testId: questions.testId, count: sql`COUNT(*)` })
+            .from(questions)
+            .where(and(inArray(questions.testId, legacyIds), isNull(questions.archivedAt)))
+            .groupBy(questions.testId);
+        rows.forEach((r) => counts.set(r.testId, Number(r.count)));
+    }
+    return counts;
+}
+
+// Best and last IQ score of the user per test
+async function getUserStats(userId, testIds) {
+    const stats = new Map();
+    if (testIds.length === 0) return stats;
+
+    const results = await db
+        .select({ testId: testResults.testId, iqScore: testResults.iqScore, completedAt: testResults.completedAt })
+        .from(testResults)
+        .where(and(eq(testResults.userId, userId), inArray(testResults.testId, testIds)))
+        .orderBy(desc(testResults.completedAt), desc(testResults.id));
+
+    results.forEach((r) => {
+        const current = stats.get(r.testId);
+        if (!current) {
+            stats.set(r.testId, { attempts: 1, bestIqScore: r.iqScore, lastIqScore: r.iqScore, lastCompletedAt: r.completedAt });
+            return;
+        }
+        current.attempts++;
+        current.bestIqScore = Math.max(current.bestIqScore, r.iqScore);
+    });
+    return stats;
+}
+
+// List published tests (?q=&minDuration=&maxDuration=&sort=newest|title|duration&page=&limit=)
+router.get("/", optionalAuthMiddleware, async (req, res) => {
+    try {
+        const { q, minDuration, maxDuration, sort } = req.query;
+        const { page, limit, offset } = parsePagination(req.query);
+
+        const conditions = [eq(tests.status, "published")];
+        if (q) {
+            conditions.push(or(like(tests.title, `%${q}%`), like(tests.description, `%${q}%`)));
+        }
+        if (minDuration && !isNaN(parseInt(minDuration))) {
+            conditions.push(gte(tests.durationMinutes, parseInt(minDuration)));
+        }
+        if (maxDuration && !isNaN(parseInt(maxDuration))) {
+            conditions.push(lte(tests.durationMinutes, parseInt(maxDuration)));
+        }
+        const where = and(...conditions);
+
+        const totalResult = await db.select({ count: sql`COUNT(*)` }).from(tests).where(where);
+        const rows = await db
+            .select()
+            .from(tests)
+            .where(where)
+            .orderBy(SORTS[sort] || SORTS.newest, desc(tests.id))
+            .limit(limit)
+            .offset(offset);
+
+        const testIds = rows.map((t) => t.id);
+        const counts = await countQuestions(rows);
+        const userStats = req.user ? await getUserStats(req.user.id, testIds) : null;
+
+        res.json({
+            items: rows.map((t) => serializeTest(t, counts.get(t.id) || 0, userStats ? userStats.get(t.id) || null : undefined)),
+            total: Number(totalResult[0].count),
+            page,
+            limit,
+        });
+    } catch (error) {
+        console.error("Get catalog error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Get a published test by slug
+router.get("/:slug", optionalAuthMiddleware, async (req, res) => {
+    try {
+        const rows = await db
+            .select()
+            .from(tests)
+            .where(and(eq(tests.slug, req.params.slug), eq(tests.status, "published")));
+
+        if (rows.length === 0) {
+            return res.status(404).json({ error: "Тест олдсонгүй" });
+        }
+
+        const test = rows[0];
+        const counts = await countQuestions([test]);
+        const userStats = req.user ? await getUserStats(req.user.id, [test.id]) : null;
+
+        res.json(serializeTest(test, counts.get(test.id) || 0, userStats ? userStats.get(test.id) || null : undefined));
+    } catch (error) {
+        console.error("Get catalog test error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+export default router;
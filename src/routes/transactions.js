@@ -2,11 +2,61 @@ import express from "express";
 import { body, validationResult } from "express-validator";
 import { db } from "../db/index.js";
 import { transactions, users } from "../db/schema.js";
-import { eq, desc, or, sql } from "drizzle-orm";
-import { authMiddleware, adminMiddleware } from "../middleware/auth.js";
+import { and, eq, gte, lte, or, sql } from "drizzle-orm";
+import { alias } from "drizzle-orm/mysql-core";
+import { authMiddleware, requirePermission, verifiedEmailMiddleware } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { settleTransfer } from "../services/transfers.js";
+import { getWalletEntries, reconcileBalances } from "../services/ledger.js";
+import { parsePagination, parseListQuery, pageResult, parseDateRange } from "../utils/pagination.js";
+import { ServiceError } from "../utils/errors.js";
 
 const router = express.Router();
 
+const senders = alias(users, "senders");
+const receivers = alias(users, "receivers");
+const TRANSACTION_SORTS = { id: transactions.id, amount: transactions.amount, createdAt: transactions.createdAt };
+
+// Filters shared by the transaction listings: ?status=&category=&from=&to=
+function transactionFilters(query) {
+    const { from, to } = parseDateRange(query);
+    const conditions = [];
+    if (query.status) conditions.push(eq(transactions.status, query.status));
+    if (query.category) conditions.push(eq(transactions.category, query.category));
+    if (from) conditions.push(gte(transactions.createdAt, from));
+    if (to) conditions.push(lte(transactions.createdAt, to));
+    return conditions;
+}
+
+// Page of transactions with sender and receiver usernames joined in
+async function listTransactions(where, list) {
+    const totalResult = await db.select({ count: sql`COUNT(*)` }).from(transactions).where(where);
+    const rows = await db
+        .select({
+            id: transactions.id,
+            senderId: transactions.senderId,
+            receiverId: transactions.receiverId,
+            amount: transactions.amount,
+            status: transactions.status,
+            category: transactions.category,
+            description: transactions.description,
+            referenceType: transactions.referenceType,
+            referenceId: transactions.referenceId,
+            createdAt: transactions.createdAt,
+            senderUsername: senders.username,
+            receiverUsername: receivers.username,
+        })
+        .from(transactions)
+        .leftJoin(senders, eq(senders.id, transactions.senderId))
+        .leftJoin(receivers, eq(receivers.id, transactions.receiverId))
+        .where(and(where, list.where))
+        .orderBy(...list.orderBy)
+        .limit(list.limit + 1)
+        .offset(list.offset);
+    return pageResult(rows, list, totalResult[0].count);
+}
+
 // Get user's balance
 router.get("/balance", authMiddleware, async (req, res) => {
     try {
@@ -24,7 +74,7 @@ router.get("/balance", authMiddleware, async (req, res) => {
 });
 
 // Create transfer (pending status)
-router.post("/transfer", authMiddleware, [body("receiverId").isInt().withMessage("Хүлээн авагчийн ID буруу"), body("amount").isFloat({ min: 0.01 }).withMessage("Дүн 0-ээс их байх ёстой")], async (req, res) => {
+router.post("/transfer", authMiddleware, rateLimit("transfer"), verifiedEmailMiddleware, [body("receiverId").isInt().withMessage("Хүлээн авагчийн ID буруу"), body("amount").isFloat({ min: 0.01 }).withMessage("Дүн 0-ээс их байх ёстой")], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -73,78 +123,55 @@ router.post("/transfer", authMiddleware, [body("receiverId").isInt().withMessage
     }
 });
 
-// Get user's transaction history
+// Get user's transaction history (?type=sent|received&status=&category=&from=&to=&sort=&limit=&page=|cursor=)
 router.get("/history", authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
+        const { type } = req.query;
+        if (type && !["sent", "received"].includes(type)) {
+            return res.status(400).json({ error: "type нь sent эсвэл received байх ёстой" });
+        }
+        const list = parseListQuery(req.query, { sortable: TRANSACTION_SORTS, defaultSort: "-createdAt", idColumn: transactions.id });
 
-        const transactionList = await db
-            .select({
-                id: transactions.id,
-                senderId: transactions.senderId,
-                receiverId: transactions.receiverId,
-                amount: transactions.amount,
-                status: transactions.status,
-                createdAt: transactions.createdAt,
-            })
-            .from(transactions)
-            .where(or(eq(transactions.senderId, userId), eq(transactions.receiverId, userId)))
-            .orderBy(desc(transactions.createdAt));
-
-        // Get usernames for sender and receiver
-        const usersData = await db
-            .select({
-                id: users.id,
-                username: users.username,
-            })
-            .from(users);
-
-        const usersMap = new Map(usersData.map((u) => [u.id, u.username]));
-
-        const enrichedTransactions = transactionList.map((t) => ({
-            ...t,
-            senderUsername: usersMap.get(t.senderId),
-            receiverUsername: usersMap.get(t.receiverId),
-            type: t.senderId === userId ? "sent" : "received",
-        }));
+        const own = type === "sent" ? eq(transactions.senderId, userId) : type === "received" ? eq(transactions.receiverId, userId) : or(eq(transactions.senderId, userId), eq(transactions.receiverId, userId));
+        const page = await listTransactions(and(own, ...transactionFilters(req.query)), list);
 
-        res.json(enrichedTransactions);
+        res.json({
+            ...page,
+            items: page.items.map(({ referenceType, referenceId, ...t }) => ({ ...t, type: t.senderId === userId ? "sent" : "received" })),
+        });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Get transaction history error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
-// Admin: Get all transactions
-router.get("/admin/all", authMiddleware, adminMiddleware, async (req, res) => {
+// Admin: List all transactions (?userId=&status=&category=&from=&to=&sort=&limit=&page=|cursor=)
+router.get("/admin/all", authMiddleware, requirePermission("transactions:read"), async (req, res) => {
     try {
-        const transactionList = await db.select().from(transactions).orderBy(desc(transactions.createdAt));
-
-        // Get usernames for sender and receiver
-        const usersData = await db
-            .select({
-                id: users.id,
-                username: users.username,
-            })
-            .from(users);
-
-        const usersMap = new Map(usersData.map((u) => [u.id, u.username]));
+        const list = parseListQuery(req.query, { sortable: TRANSACTION_SORTS, defaultSort: "-createdAt", idColumn: transactions.id, defaultLimit: 50, maxLimit: 200 });
 
-        const enrichedTransactions = transactionList.map((t) => ({
-            ...t,
-            senderUsername: usersMap.get(t.senderId),
-            receiverUsername: usersMap.get(t.receiverId),
-        }));
+        const conditions = transactionFilters(req.query);
+        const userId = parseInt(req.query.userId);
+        if (userId) {
+            conditions.push(or(eq(transactions.senderId, userId), eq(transactions.receiverId, userId)));
+        }
 
-        res.json(enrichedTransactions);
+        res.json(await listTransactions(and(...conditions), list));
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Admin get transactions error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
 // Admin: Update transaction status
-router.patch("/admin/:id/status", authMiddleware, adminMiddleware, [body("status").isIn(["completed", "failed"]).withMessage("Статус буруу")], async (req, res) => {
+router.patch("/admin/:id/status", authMiddleware, requirePermission("transactions:approve"), audit("transaction.settle", { entity: "transaction" }), [body("status").isIn(["completed", "failed"]).withMessage("Статус буруу")], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -154,61 +181,45 @@ router.patch("/admin/:id/status", authMiddleware, adminMiddleware, [body("status
         const { id } = req.params;
         const { status } = req.body;
 
-        // Get transaction
-        const transaction = await db
-            .select()
-            .from(transactions)
-            .where(eq(transactions.id, parseInt(id)));
-
-        if (transaction.length === 0) {
-            return res.status(404).json({ error: "Шилжүүлэг олдсонгүй" });
-        }
-
-        if (transaction[0].status !== "pending") {
-            return res.status(400).json({ error: "Зөвхөн хүлээгдэж буй шилжүүлгийг өөрчлөх боломжтой" });
-        }
-
-        // If completing, update balances
-        if (status === "completed") {
-            const { senderId, receiverId, amount } = transaction[0];
-
-            // Check sender balance again
-            const sender = await db.select().from(users).where(eq(users.id, senderId));
-
-            if (parseFloat(sender[0].balance) < parseFloat(amount)) {
-                return res.status(400).json({ error: "Илгээгчийн үлдэгдэл хүрэлцэхгүй байна" });
-            }
-
-            // Deduct from sender
-            await db
-                .update(users)
-                .set({ balance: sql`${users.balance} - ${amount}` })
-                .where(eq(users.id, senderId));
-
-            // Add to receiver
-            await db
-                .update(users)
-                .set({ balance: sql`${users.balance} + ${amount}` })
-                .where(eq(users.id, receiverId));
-        }
-
-        // Update transaction status
-        await db
-            .update(transactions)
-            .set({ status })
-            .where(eq(transactions.id, parseInt(id)));
+        await settleTransfer(parseInt(id), status, req.user.id);
 
         res.json({
             message: status === "completed" ? "Шилжүүлэг амжилттай баталгаажлаа" : "Шилжүүлэг цуцлагдлаа",
         });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Update transaction status error:", error);
         res.status(500).json({ error: "Серверийн алдаа" });
     }
 });
 
+// Admin: Ledger entries of a user's wallet
+router.get("/admin/ledger/users/:userId", authMiddleware, requirePermission("transactions:read"), async (req, res) => {
+    try {
+        const { limit, offset } = parsePagination(req.query, { defaultLimit: 100, maxLimit: 500 });
+        const entries = await getWalletEntries(parseInt(req.params.userId), { limit, offset });
+        res.json(entries);
+    } catch (error) {
+        console.error("Get ledger entries error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
+// Admin: Users whose stored balance differs from the balance rebuilt from the ledger
+router.get("/admin/ledger/reconcile", authMiddleware, requirePermission("transactions:read"), async (req, res) => {
+    try {
+        const mismatches = await reconcileBalances();
+        res.json({ consistent: mismatches.length === 0, mismatches });
+    } catch (error) {
+        console.error("Reconcile ledger error:", error);
+        res.status(500).json({ error: "Серверийн алдаа" });
+    }
+});
+
 // Search users for transfer
-router.get("/users/search", authMiddleware, async (req, res) => {
+router.get("/users/search", authMiddleware, rateLimit("search"), async (req, res) => {
     try {
         const { q } = req.query;
 
@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { db } from "../db/index.js";
+import { userTokens, users } from "../db/schema.js";
+import { and, eq, isNull } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { sendMail } from "./mailer/index.js";
+import { revokeAllSessions } from "./sessions.js";
+
+const TOKEN_TTL_MS = {
+    email_verification: 24 * 60 * 60 * 1000,
+    password_reset: 60 * 60 * 1000,
+};
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+function frontendUrl(pathname, token) {
+    const base = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+    return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Issue a fresh one-time token. Unused older tokens of the same purpose stop working.
+async function createUserToken(userId, purpose) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await db
+        .update(userTokens)
+        .set({ usedAt: new Date() })
+        .where(and(eq(userTokens.userId, userId), eq(userTokens.purpose, purpose), isNull(userTokens.usedAt)));
+    await db.insert(userTokens).values({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+    });
+    return token;
+}
+
+// Mark a token used and return its user id. Fails for unknown, used or expired tokens.
+async function consumeUserToken(tx, token, purpose) {
+    if (!token || typeof token !== "string") {
+        throw new ServiceError(400, "Холбоос буруу эсвэл хугацаа нь дууссан байна");
+    }
+    const rows = await tx
+        .select()
+        .from(userTokens)
+        .where(and(eq(userTokens.tokenHash, hashToken(token)), eq(userTokens.purpose, purpose)))
+        .for("update");
+    const record = rows[0];
+    if (!record || record.usedAt || new Date(record.expiresAt).getTime() < Date.now()) {
+        throw new ServiceError(400, "Холбоос буруу эсвэл хугацаа нь дууссан байна");
+    }
+    await tx.update(userTokens).set({ usedAt: new Date() }).where(eq(userTokens.id, record.id));
+    return record.userId;
+}
+
+export async function sendVerificationEmail(user) {
+    if (user.emailVerifiedAt) return;
+    const token = await createUserToken(user.id, "email_verification");
+    const link = frontendUrl("/verify-email", token);
+    await sendMail({
+        to: user.email,
+        subject: "Имэйл хаягаа баталгаажуулна уу",
+        text: `Сайн байна уу, ${user.username}!\n\nИмэйл хаягаа баталгаажуулахын тулд дараах холбоос дээр дарна уу:\n${link}\n\nХолбоос 24 цагийн дараа хүчингүй болно.`,
+        html: `<p>Сайн байна уу, ${escapeHtml(user.username)}!</p><p>Имэйл хаягаа баталгаажуулахын тулд <a href="${link}">энд дарна уу</a>.</p><p>Холбоос 24 цагийн дараа хүчингүй болно.</p>`,
+    });
+}
+
+export async function verifyEmail(token) {
+    await db.transaction(async (tx) => {
+        const userId = await consumeUserToken(tx, token, "email_verification");
+        await tx.update(users).set({ emailVerifiedAt: new Date() }).where(eq(users.id, userId));
+    });
+}
+
+async function sendPasswordResetEmail(user) {
+    const token = await createUserToken(user.id, "password_reset");
+    const link = frontendUrl("/reset-password", token);
+    await sendMail({
+        to: user.email,
+        subject: "Нууц үг сэргээх",
+        text: `Сайн байна уу, ${user.username}!\n\nНууц үгээ шинэчлэхийн тулд дараах холбоос дээр дарна уу:\n${link}\n\nХолбоос 1 цагийн дараа хүчингүй болно. Хэрэв та хүсэлт илгээгээгүй бол энэ имэйлийг үл тоомсорлоно уу.`,
+        html: `<p>Сайн байна уу, ${escapeHtml(user.username)}!</p><p>Нууц үгээ шинэчлэхийн тулд <a href="${link}">энд дарна уу</a>.</p><p>Холбоос 1 цагийн дараа хүчингүй болно. Хэрэв та хүсэлт илгээгээгүй бол энэ имэйлийг үл тоомсорлоно уу.</p>`,
+    });
+}
+
+// Send a reset link if the email is registered. The token and the mail are handled off the request path
+// and their failures are only logged, so registered and unknown emails get the same answer in the same
+// time and the endpoint cannot be used to find out which emails have accounts.
+export async function requestPasswordReset(email) {
+    const rows = await db.select().from(users).where(eq(users.email, email));
+    if (rows.length === 0) return;
+
+    sendPasswordResetEmail(rows[0]).catch((error) => {
+        console.error("Password reset mail error:", error);
+    });
+}
+
+// Set a new password with a reset token. All existing sessions are logged out.
+export async function resetPassword(token, password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = await db.transaction(async (tx) => {
+        const id = await consumeUserToken(tx, token, "password_reset");
+        // Receiving the reset link proves ownership of the email as well
+        const rows = await tx.select({ emailVerifiedAt: users.emailVerifiedAt }).from(users).where(eq(users.id, id));
+        await tx
+            .update(users)
+            .set({ password: hashedPassword, emailVerifiedAt: rows[0].emailVerifiedAt || new Date() })
+            .where(eq(users.id, id));
+        return id;
+    });
+    await revokeAllSessions(userId);
+}
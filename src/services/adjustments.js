@@ -0,0 +1,72 @@
+import { db } from "../db/index.js";
+import { balanceAdjustments, users } from "../db/schema.js";
+import { desc, eq } from "drizzle-orm";
+import { alias } from "drizzle-orm/mysql-core";
+import { ServiceError } from "../utils/errors.js";
+import { toCents, fromCents } from "../utils/money.js";
+import { postMovement, SYSTEM_ACCOUNTS } from "./ledger.js";
+
+// Apply a signed balance change on behalf of an admin. The change goes through the ledger against
+// the adjustment system account and is recorded with the balances before and after it.
+export async function adjustBalance({ userId, adminId, delta, reason }) {
+    const cents = toCents(delta);
+    if (!Number.isInteger(cents) || cents === 0) {
+        throw new ServiceError(400, "Дүн буруу");
+    }
+    if (!reason || String(reason).trim().length === 0) {
+        throw new ServiceError(400, "Шалтгаан заавал шаардлагатай");
+    }
+
+    return db.transaction(async (tx) => {
+        const locked = await tx.select({ balance: users.balance }).from(users).where(eq(users.id, userId)).for("update");
+        if (locked.length === 0) {
+            throw new ServiceError(404, "Хэрэглэгч олдсонгүй");
+        }
+        const previousBalance = fromCents(toCents(locked[0].balance || 0));
+        const amount = fromCents(Math.abs(cents));
+        const trimmedReason = String(reason).trim().slice(0, 500);
+
+        const { movementId, balances } = await postMovement(tx, {
+            legs: [
+                { userId, direction: cents > 0 ? "credit" : "debit", amount },
+                { account: SYSTEM_ACCOUNTS.adjustment, direction: cents > 0 ? "debit" : "credit", amount },
+            ],
+            referenceType: "balance_adjustment",
+            memo: trimmedReason.slice(0, 255),
+            createdBy: adminId,
+        });
+        const newBalance = balances.get(userId);
+
+        const insert = await tx.insert(balanceAdjustments).values({
+            userId,
+            adminId,
+            delta: fromCents(cents),
+            reason: trimmedReason,
+            previousBalance,
+            newBalance,
+            movementId,
+        });
+
+        return { id: insert[0].insertId, userId, delta: fromCents(cents), reason: trimmedReason, previousBalance, newBalance };
+    });
+}
+
+// Adjustment history of a user, newest first, with the acting admin's username
+export async function getAdjustmentHistory(userId) {
+    const admins = alias(users, "admins");
+    return db
+        .select({
+            id: balanceAdjustments.id,
+            delta: balanceAdjustments.delta,
+            reason: balanceAdjustments.reason,
+            previousBalance: balanceAdjustments.previousBalance,
+            newBalance: balanceAdjustments.newBalance,
+            adminId: balanceAdjustments.adminId,
+            adminUsername: admins.username,
+            createdAt: balanceAdjustments.createdAt,
+        })
+        .from(balanceAdjustments)
+        .leftJoin(admins, eq(balanceAdjustments.adminId, admins.id))
+        .where(eq(balanceAdjustments.userId, userId))
+        .orderBy(desc(balanceAdjustments.id));
+}
@@ -0,0 +1,314 @@
+import { db } from "../db/index.js";
+import { testResults, tests, transactions, users } from "../db/schema.js";
+import { and, asc, eq, gte, inArray, lt, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { fromCents, toCents } from "../utils/money.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.STATS_TIMEZONE || "Asia/Ulaanbaatar";
+const DEFAULT_RANGE_DAYS = { day: 30, week: 84 };
+const MAX_BUCKETS = 400;
+// Pending transactions are grouped by how long they have been waiting
+const PENDING_AGE_BUCKETS = [
+    { label: "<1h", maxHours: 1 },
+    { label: "1-24h", maxHours: 24 },
+    { label: "1-3d", maxHours: 72 },
+    { label: "3-7d", maxHours: 168 },
+    { label: ">7d", maxHours: Infinity },
+];
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Minutes the time zone is ahead of UTC at the given instant
+function offsetMinutes(timeZone, date) {
+    const parts = Object.fromEntries(formatter(timeZone).formatToParts(date).map((p) => [p.type, p.value]));
+    const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in the time zone
+function localDate(timeZone, date) {
+    return new Date(date.getTime() + offsetMinutes(timeZone, date) * 60000).toISOString().slice(0, 10);
+}
+
+// Instant at which a calendar date starts in the time zone
+function startOfLocalDate(timeZone, day) {
+    const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+    const guess = midnightUtc - offsetMinutes(timeZone, new Date(midnightUtc)) * 60000;
+    return new Date(midnightUtc - offsetMinutes(timeZone, new Date(guess)) * 60000);
+}
+
+function addDays(day, days) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the week a date falls in
+function startOfWeek(day) {
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(day, -weekday);
+}
+
+// UTC offsets in effect over a range, as [{ since, offset }] where the first segment has no start.
+// Transitions (daylight saving) are found day by day and pinned down to the quarter hour.
+function offsetSegments(timeZone, from, to) {
+    const STEP_MS = 15 * 60 * 1000;
+    const segments = [{ since: null, offset: offsetMinutes(timeZone, from) }];
+    for (let t = from.getTime() + DAY_MS; t < to.getTime() + DAY_MS; t += DAY_MS) {
+        const current = segments[segments.length - 1].offset;
+        const offset = offsetMinutes(timeZone, new Date(t));
+        if (offset === current) continue;
+        let since = t - DAY_MS;
+        while (offsetMinutes(timeZone, new Date(since)) === current) since += STEP_MS;
+        segments.push({ since: new Date(since), offset });
+    }
+    return segments;
+}
+
+function sqlDateTime(date) {
+    return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+// SQL expression for the bucket (YYYY-MM-DD of the day or of the week's Monday) a UTC timestamp column
+// falls in, in the requested time zone. Offsets and transition times are generated here, not user input,
+// and are inlined so the same expression can be selected and grouped by.
+function bucketExpression(column, bucketing) {
+    const segments = bucketing.segments;
+    let offset = sql.raw(String(segments[0].offset));
+    if (segments.length > 1) {
+        const whens = segments.slice(1).map((s, i) => sql`WHEN ${column} < ${sql.raw(`'${sqlDateTime(s.since)}'`)} THEN ${sql.raw(String(segments[i].offset))}`);
+        offset = sql`CASE ${sql.join(whens, sql` `)} ELSE ${sql.raw(String(segments[segments.length - 1].offset))} END`;
+    }
+    const local = sql`DATE(${column} + INTERVAL (${offset}) MINUTE)`;
+    const day = bucketing.interval === "week" ? sql`DATE_SUB(${local}, INTERVAL WEEKDAY(${local}) DAY)` : local;
+    return sql`DATE_FORMAT(${day}, '%Y-%m-%d')`;
+}
+
+function parseBound(value, timeZone, name) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = startOfLocalDate(timeZone, value);
+        if (!isNaN(date.getTime())) return { date, dateOnly: true };
+    } else {
+        const date = new Date(value);
+        if (!isNaN(date.getTime())) return { date, dateOnly: false };
+    }
+    throw new ServiceError(400, `${name} огноо буруу`);
+}
+
+// Parse ?tz=&from=&to= into a half-open range [from, to). Dates without a time are calendar days in the
+// time zone, and `to` then includes the whole day. Either bound may be missing (null).
+export function parseLocalRange(query) {
+    const timeZone = query.tz || DEFAULT_TIMEZONE;
+    try {
+        formatter(timeZone);
+    } catch (error) {
+        throw new ServiceError(400, "Цагийн бүс буруу байна");
+    }
+
+    let to = null;
+    if (query.to) {
+        const bound = parseBound(query.to, timeZone, "to");
+        to = bound.dateOnly ? startOfLocalDate(timeZone, addDays(query.to, 1)) : bound.date;
+    }
+    const from = query.from ? parseBound(query.from, timeZone, "from").date : null;
+    if (from && to && from >= to) {
+        throw new ServiceError(400, "from нь to-оос өмнө байх ёстой");
+    }
+    return { timeZone, from, to };
+}
+
+// Parse ?interval=day|week&tz=&from=&to= for the time series (see parseLocalRange).
+// Defaults to the last 30 days (12 weeks).
+export function parseBucketing(query) {
+    const interval = query.interval || "day";
+    if (!["day", "week"].includes(interval)) {
+        throw new ServiceError(400, "interval нь day эсвэл week байх ёстой");
+    }
+    const range = parseLocalRange(query);
+    const { timeZone } = range;
+
+    const to = range.to || new Date();
+    const from = range.from || startOfLocalDate(timeZone, addDays(localDate(timeZone, to), -DEFAULT_RANGE_DAYS[interval] + 1));
+    if (from >= to) {
+        throw new ServiceError(400, "from нь to-оос өмнө байх ёстой");
+    }
+
+    const buckets = [];
+    const last = localDate(timeZone, new Date(to.getTime() - 1));
+    let day = localDate(timeZone, from);
+    if (interval === "week") day = startOfWeek(day);
+    for (; day <= last; day = addDays(day, interval === "week" ? 7 : 1)) {
+        buckets.push(day);
+        if (buckets.length > MAX_BUCKETS) {
+            throw new ServiceError(400, `Хугацааны муж хэт урт байна (${MAX_BUCKETS} хүртэл ${interval === "week" ? "долоо хоног" : "өдөр"})`);
+        }
+    }
+
+    return { interval, timeZone, from, to, buckets, segments: offsetSegments(timeZone, from, to) };
+}
+
+// One point per bucket, zero-filled where nothing happened
+function fillSeries(buckets, rows, point, empty) {
+    const byBucket = new Map(rows.map((r) => [r.bucket, r]));
+    return buckets.map((bucket) => ({ date: bucket, ...(byBucket.has(bucket) ? point(byBucket.get(bucket)) : empty) }));
+}
+
+function rangeOf(bucketing) {
+    return { interval: bucketing.interval, timeZone: bucketing.timeZone, from: bucketing.from, to: bucketing.to };
+}
+
+// New accounts per bucket
+export async function registrationSeries(bucketing) {
+    const bucket = bucketExpression(users.createdAt, bucketing);
+    const rows = await db
+        .select({ bucket, count: sql`COUNT(*)` })
+        .from(users)
+        .where(and(gte(users.createdAt, bucketing.from), lt(users.createdAt, bucketing.to)))
+        .groupBy(bucket);
+
+    return {
+        metric: "registrations",
+        ...rangeOf(bucketing),
+        series: [{ name: "registrations", points: fillSeries(bucketing.buckets, rows, (r) => ({ count: Number(r.count) }), { count: 0 }) }],
+    };
+}
+
+// Completed tests and their average IQ per bucket, for all tests or one series per test
+export async function completionSeries(bucketing, { testId = null, groupByTest = false } = {}) {
+    const bucket = bucketExpression(testResults.completedAt, bucketing);
+    const conditions = [gte(testResults.completedAt, bucketing.from), lt(testResults.completedAt, bucketing.to)];
+    if (testId) conditions.push(eq(testResults.testId, testId));
+
+    const rows = await db
+        .select({ bucket, testId: groupByTest ? testResults.testId : sql`NULL`, count: sql`COUNT(*)`, averageIq: sql`AVG(${testResults.iqScore})` })
+        .from(testResults)
+        .where(and(...conditions))
+        .groupBy(...(groupByTest ? [bucket, testResults.testId] : [bucket]));
+
+    const point = (r) => ({ count: Number(r.count), averageIq: Math.round(Number(r.averageIq) * 10) / 10 });
+    const empty = { count: 0, averageIq: null };
+    let series;
+    if (groupByTest) {
+        const testIds = [...new Set(rows.map((r) => r.testId).filter((id) => id !== null))];
+        const titles = testIds.length > 0 ? await db.select({ id: tests.id, title: tests.title }).from(tests).where(inArray(tests.id, testIds)).orderBy(asc(tests.id)) : [];
+        const titleMap = new Map(titles.map((t) => [t.id, t.title]));
+        // Results of deleted tests have no test id and form their own series
+        series = [...new Set(rows.map((r) => r.testId))].map((id) => ({
+            name: id !== null ? titleMap.get(id) || `#${id}` : null,
+            testId: id,
+            points: fillSeries(
+                bucketing.buckets,
+                rows.filter((r) => r.testId === id),
+                point,
+                empty
+            ),
+        }));
+    } else {
+        series = [{ name: "completions", testId, points: fillSeries(bucketing.buckets, rows, point, empty) }];
+    }
+    return { metric: "completions", ...rangeOf(bucketing), series };
+}
+
+// Transaction count and volume per bucket, one series per status (?category= narrows it to one kind)
+export async function transactionVolumeSeries(bucketing, { category = null } = {}) {
+    const bucket = bucketExpression(transactions.createdAt, bucketing);
+    const conditions = [gte(transactions.createdAt, bucketing.from), lt(transactions.createdAt, bucketing.to)];
+    if (category) conditions.push(eq(transactions.category, category));
+
+    const rows = await db
+        .select({ bucket, status: transactions.status, count: sql`COUNT(*)`, amount: sql`COALESCE(SUM(${transactions.amount}), 0)` })
+        .from(transactions)
+        .where(and(...conditions))
+        .groupBy(bucket, transactions.status);
+
+    return {
+        metric: "transaction_volume",
+        category,
+        ...rangeOf(bucketing),
+        series: ["completed", "pending", "failed"].map((status) => ({
+            name: status,
+            status,
+            points: fillSeries(
+                bucketing.buckets,
+                rows.filter((r) => r.status === status),
+                (r) => ({ count: Number(r.count), amount: fromCents(toCents(r.amount)) }),
+                { count: 0, amount: "0.00" }
+            ),
+        })),
+    };
+}
+
+// Histogram of IQ scores in the range, overall or per test
+export async function iqDistribution({ from = null, to = null, timeZone = DEFAULT_TIMEZONE, testId = null, groupByTest = false, binSize = 5 } = {}) {
+    if (!Number.isInteger(binSize) || binSize < 1 || binSize > 50) {
+        throw new ServiceError(400, "binSize нь 1-50 хооронд бүхэл тоо байх ёстой");
+    }
+    const conditions = [];
+    if (from) conditions.push(gte(testResults.completedAt, from));
+    if (to) conditions.push(lt(testResults.completedAt, to));
+    if (testId) conditions.push(eq(testResults.testId, testId));
+
+    const bin = sql`FLOOR(${testResults.iqScore} / ${sql.raw(String(binSize))}) * ${sql.raw(String(binSize))}`;
+    const rows = await db
+        .select({ bin, testId: groupByTest ? testResults.testId : sql`NULL`, count: sql`COUNT(*)` })
+        .from(testResults)
+        .where(and(...conditions))
+        .groupBy(...(groupByTest ? [bin, testResults.testId] : [bin]))
+        .orderBy(bin);
+
+    const histogram = (list) => {
+        const total = list.reduce((sum, r) => sum + Number(r.count), 0);
+        return {
+            total,
+            bins: list.map((r) => ({ min: Number(r.bin), max: Number(r.bin) + binSize - 1, count: Number(r.count), share: total > 0 ? Number((Number(r.count) / total).toFixed(4)) : 0 })),
+        };
+    };
+
+    if (!groupByTest) {
+        return { from, to, timeZone, binSize, testId, ...histogram(rows) };
+    }
+    const testIds = [...new Set(rows.map((r) => r.testId))];
+    const known = testIds.filter((id) => id !== null);
+    const titles = known.length > 0 ? await db.select({ id: tests.id, title: tests.title }).from(tests).where(inArray(tests.id, known)) : [];
+    const titleMap = new Map(titles.map((t) => [t.id, t.title]));
+    return {
+        from,
+        to,
+        timeZone,
+        binSize,
+        tests: testIds.map((id) => ({ testId: id, title: id !== null ? titleMap.get(id) || null : null, ...histogram(rows.filter((r) => r.testId === id)) })),
+    };
+}
+
+// How long pending transactions have been waiting for approval
+export async function pendingTransactionAges(now = new Date()) {
+    const rows = await db
+        .select({ id: transactions.id, category: transactions.category, amount: transactions.amount, createdAt: transactions.createdAt })
+        .from(transactions)
+        .where(eq(transactions.status, "pending"))
+        .orderBy(asc(transactions.createdAt));
+
+    const ages = rows.map((r) => Math.max(now.getTime() - new Date(r.createdAt).getTime(), 0) / 3600000);
+    const buckets = PENDING_AGE_BUCKETS.map((b) => ({ label: b.label, count: 0, amount: 0 }));
+    ages.forEach((hours, i) => {
+        const index = PENDING_AGE_BUCKETS.findIndex((b) => hours < b.maxHours);
+        buckets[index].count++;
+        buckets[index].amount += toCents(rows[i].amount);
+    });
+    const sorted = [...ages].sort((a, b) => a - b);
+
+    return {
+        count: rows.length,
+        totalAmount: fromCents(rows.reduce((sum, r) => sum + toCents(r.amount), 0)),
+        oldest: rows.length > 0 ? { id: rows[0].id, category: rows[0].category, createdAt: rows[0].createdAt, ageHours: Number(ages[0].toFixed(1)) } : null,
+        averageAgeHours: ages.length > 0 ? Number((ages.reduce((sum, h) => sum + h, 0) / ages.length).toFixed(1)) : null,
+        medianAgeHours: sorted.length > 0 ? Number(sorted[Math.floor(sorted.length / 2)].toFixed(1)) : null,
+        buckets: buckets.map((b) => ({ ...b, amount: fromCents(b.amount) })),
+    };
+}
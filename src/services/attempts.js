@@ -0,0 +1,569 @@
+import crypto from "crypto";
+import { db } from "../db/index.js";
+import { tests, questions, questionOptions, testAttempts, testResults, userAnswers, users } from "../db/schema.js";
+import { and, eq, inArray, isNull, asc } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { questionWeight, scoreResult, scoreAbility } from "./scoring.js";
+import { gradeAnswer } from "./graders.js";
+import { estimateAbility, getItemParameters, pickNextItem } from "./irt.js";
+import { chargeForAttempt, refundAttempt } from "./purchases.js";
+import { ensureCurrentRevisions, loadRevisions, revisionAsQuestion } from "./questionRevisions.js";
+import { getTestVersionQuestions } from "./testLifecycle.js";
+import { resolveMediaUrl } from "./storage/index.js";
+
+// Submissions arriving shortly after the deadline are still accepted to absorb network latency
+const SUBMIT_GRACE_MS = 30 * 1000;
+// Adaptive attempts stop at this ability standard error unless the test sets its own
+const DEFAULT_STOP_SE = 0.3;
+
+function isExpired(attempt, now = Date.now()) {
+    return attempt.expiresAt !== null && now > new Date(attempt.expiresAt).getTime() + SUBMIT_GRACE_MS;
+}
+
+export function parseQuestionIds(attempt) {
+    try {
+        const ids = JSON.parse(attempt.questionIds);
+        return Array.isArray(ids) ? ids : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Graded answers of an adaptive attempt so far
+function parseResponses(attempt) {
+    try {
+        const responses = JSON.parse(attempt.responses || "[]");
+        return Array.isArray(responses) ? responses : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Revision ids aligned with questionIds. Attempts started before question revisions existed have
+// none stored; they are pinned to the current revision of each question the first time they are read.
+async function resolveRevisionIds(attempt, executor = db) {
+    const questionIds = parseQuestionIds(attempt);
+    let stored = [];
+    try {
+        const parsed = JSON.parse(attempt.revisionIds || "[]");
+        stored = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        stored = [];
+    }
+    if (stored.length === questionIds.length) return stored;
+
+    const current = await ensureCurrentRevisions(questionIds, executor);
+    const revisionIds = questionIds.map((id, i) => stored[i] || current.get(id) || null);
+    await executor
+        .update(testAttempts)
+        .set({ revisionIds: JSON.stringify(revisionIds) })
+        .where(eq(testAttempts.id, attempt.id));
+    return revisionIds;
+}
+
+// Revisions the user still has to answer: all served ones, or the single pending one in adaptive mode
+async function pendingRevisionIds(attempt) {
+    const revisionIds = await resolveRevisionIds(attempt);
+    return attempt.mode === "adaptive" ? revisionIds.slice(parseResponses(attempt).length) : revisionIds;
+}
+
+// Load the served question revisions in the given order, without anything that reveals the correct answer
+export async function loadServedQuestions(revisionIds) {
+    const revisions = await loadRevisions(revisionIds);
+    return revisionIds
+        .filter((id) => revisions.has(id))
+        .map((id) => {
+            const revision = revisions.get(id);
+            return {
+                id: revision.questionId,
+                questionText: revision.questionText,
+                imageUrl: revision.imageUrl ? resolveMediaUrl(revision.imageUrl) : null,
+                questionType: revision.questionType,
+                gridData: revision.questionType === "grid" ? publicGridData(revision.gridData) : null,
+                images: revision.images.map((img) => ({ ...img, imageUrl: resolveMediaUrl(img.imageUrl) })),
+                options: revision.options.map((o) => ({ label: o.label, optionText: o.optionText, imageUrl: o.imageUrl ? resolveMediaUrl(o.imageUrl) : null })),
+            };
+        });
+}
+
+// Ids of the options that still exist. Answers are graded against the served revision, whose option
+// may have been removed since; such answers keep their label in answerText but link no option row.
+async function liveOptionIds(questionIds, executor = db) {
+    if (questionIds.length === 0) return new Set();
+    const rows = await executor.select({ id: questionOptions.id }).from(questionOptions).where(inArray(questionOptions.questionId, questionIds));
+    return new Set(rows.map((o) => o.id));
+}
+
+// Grid layout shown to the test taker. The solution, when stored inside gridData, is removed.
+function publicGridData(gridData) {
+    if (!gridData) return null;
+    try {
+        const parsed = JSON.parse(gridData);
+        if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+            const { solution, ...layout } = parsed;
+            return layout;
+        }
+        return parsed;
+    } catch (e) {
+        return null;
+    }
+}
+
+function shuffle(items) {
+    const arr = [...items];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+// Questions of a test in order. Archived questions only count when a published version still pins them.
+async function loadTestQuestions(testId, { includeArchived = false } = {}) {
+    const where = includeArchived ? eq(questions.testId, testId) : and(eq(questions.testId, testId), isNull(questions.archivedAt));
+    return db.select().from(questions).where(where).orderBy(asc(questions.questionOrder), asc(questions.id));
+}
+
+// Questions of a published test version in serving order, plus the revision each one is pinned to.
+// Without a version (tests published before versions existed) all current questions are used.
+async function loadVersionQuestions(testId, testVersionId, executor = db) {
+    const pinned = testVersionId ? await getTestVersionQuestions(testVersionId, executor) : null;
+    const testQuestions = await loadTestQuestions(testId, { includeArchived: Boolean(pinned) });
+    if (!pinned) return { testQuestions, pinned: null };
+
+    const order = [...pinned.keys()];
+    const versionQuestions = testQuestions.filter((q) => pinned.has(q.id)).sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+    return { testQuestions: versionQuestions, pinned };
+}
+
+// Revision ids to serve the given questions at: the version's, or the current ones
+async function revisionIdsFor(questionIds, pinned, executor = db) {
+    const revisions = pinned || (await ensureCurrentRevisions(questionIds, executor));
+    return questionIds.map((id) => revisions.get(id) || null);
+}
+
+// Pick the question ids of a new attempt according to the test's selection mode.
+// Adaptive attempts start with the single most informative item at average ability.
+async function selectQuestionIds(test, testQuestions) {
+    const ids = testQuestions.map((q) => q.id);
+
+    if (test.mode === "adaptive") {
+        if (ids.length === 0) return [];
+        const params = await getItemParameters(testQuestions);
+        return [pickNextItem(0, shuffle(ids), params)];
+    }
+
+    const ordered = test.questionSelection === "random" ? shuffle(ids) : ids;
+    return test.questionCount > 0 ? ordered.slice(0, test.questionCount) : ordered;
+}
+
+function adaptiveLimits(test, availableCount) {
+    return {
+        maxItems: test.questionCount > 0 ? Math.min(test.questionCount, availableCount) : availableCount,
+        stopSe: test.adaptiveStopSe ? parseFloat(test.adaptiveStopSe) : DEFAULT_STOP_SE,
+    };
+}
+
+function serializeAttempt(attempt) {
+    return {
+        id: attempt.id,
+        testId: attempt.testId,
+        mode: attempt.mode,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+    };
+}
+
+async function getOwnAttempt(userId, attemptId) {
+    const rows = await db.select().from(testAttempts).where(eq(testAttempts.id, attemptId));
+    if (rows.length === 0 || rows[0].userId !== userId) {
+        throw new ServiceError(404, "Оролдлого олдсонгүй");
+    }
+    return rows[0];
+}
+
+async function markExpired(attemptId, executor = db) {
+    await executor
+        .update(testAttempts)
+        .set({ status: "expired" })
+        .where(and(eq(testAttempts.id, attemptId), eq(testAttempts.status, "in_progress")));
+}
+
+async function buildAttemptResponse(test, attempt) {
+    const served = await loadServedQuestions(await pendingRevisionIds(attempt));
+    const response = {
+        test: { id: test.id, slug: test.slug, title: test.title },
+        attempt: serializeAttempt(attempt),
+        durationMinutes: test.durationMinutes,
+        totalQuestions: served.length,
+        questions: served,
+    };
+
+    if (attempt.mode === "adaptive") {
+        const { testQuestions } = await loadVersionQuestions(test.id, attempt.testVersionId);
+        response.totalQuestions = adaptiveLimits(test, testQuestions.length).maxItems;
+        response.answered = parseResponses(attempt).length;
+    }
+    return response;
+}
+
+// The user's unfinished attempt on a test, if any. Attempts past their deadline are closed on the way.
+async function findOpenAttempt(userId, testId, executor = db) {
+    const open = await executor
+        .select()
+        .from(testAttempts)
+        .where(and(eq(testAttempts.userId, userId), eq(testAttempts.testId, testId), eq(testAttempts.status, "in_progress")));
+
+    for (const attempt of open) {
+        if (isExpired(attempt)) {
+            await markExpired(attempt.id, executor);
+            continue;
+        }
+        return attempt;
+    }
+    return null;
+}
+
+async function startAttemptForTest(userId, test) {
+    if (!test || test.status !== "published") {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+
+    const existing = await findOpenAttempt(userId, test.id);
+    if (existing) {
+        return buildAttemptResponse(test, existing);
+    }
+
+    // New attempts are served from the published version; earlier attempts keep theirs
+    const { testQuestions, pinned } = await loadVersionQuestions(test.id, test.publishedVersionId);
+    const questionIds = await selectQuestionIds(test, testQuestions);
+    if (questionIds.length === 0) {
+        throw new ServiceError(400, "Энэ тестэд асуулт байхгүй байна");
+    }
+    const revisionIds = await revisionIdsFor(questionIds, pinned);
+
+    const startedAt = new Date();
+    const expiresAt = test.durationMinutes ? new Date(startedAt.getTime() + test.durationMinutes * 60 * 1000) : null;
+
+    const values = {
+        userId,
+        testId: test.id,
+        testVersionId: test.publishedVersionId || null,
+        mode: test.mode,
+        questionIds: JSON.stringify(questionIds),
+        revisionIds: JSON.stringify(revisionIds),
+        responses: test.mode === "adaptive" ? "[]" : null,
+        status: "in_progress",
+        startedAt,
+        expiresAt,
+    };
+    // Creating the attempt and charging for it commit together. Starts of the same user are serialized
+    // on the user row, so of two concurrent requests the second resumes the attempt of the first.
+    const started = await db.transaction(async (tx) => {
+        await tx.select({ id: users.id }).from(users).where(eq(users.id, userId)).for("update");
+        const open = await findOpenAttempt(userId, test.id, tx);
+        if (open) {
+            return { attempt: open, created: false };
+        }
+        const insert = await tx.insert(testAttempts).values(values);
+        await chargeForAttempt(tx, { userId, test, attemptId: insert[0].insertId });
+        return { attempt: { ...values, id: insert[0].insertId }, created: true };
+    });
+
+    try {
+        return await buildAttemptResponse(test, started.attempt);
+    } catch (error) {
+        if (started.created) {
+            await refundAttempt(started.attempt.id, { reason: "Тестийг эхлүүлэхэд алдаа гарсан" });
+        }
+        throw error;
+    }
+}
+
+// Start an attempt for a published test, or resume the user's unfinished one
+export async function startAttempt(userId, testId) {
+    const rows = await db.select().from(tests).where(eq(tests.id, testId));
+    return startAttemptForTest(userId, rows[0]);
+}
+
+// The user's unfinished attempt on a test looked up by slug. Never starts or charges for an attempt.
+export async function resumeAttemptBySlug(userId, slug) {
+    const rows = await db.select().from(tests).where(eq(tests.slug, slug));
+    const test = rows[0];
+    if (!test || test.status !== "published") {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+
+    const attempt = await findOpenAttempt(userId, test.id);
+    if (!attempt) {
+        throw new ServiceError(404, "Дуусаагүй оролдлого алга. POST /api/test/attempts-аар тест эхлүүлнэ үү");
+    }
+    return buildAttemptResponse(test, attempt);
+}
+
+// Get an attempt of the user together with the questions that were served in it
+export async function getAttempt(userId, attemptId) {
+    const attempt = await getOwnAttempt(userId, attemptId);
+
+    if (attempt.status === "in_progress" && isExpired(attempt)) {
+        await markExpired(attempt.id);
+        attempt.status = "expired";
+    }
+
+    const served = attempt.status === "in_progress" ? await loadServedQuestions(await pendingRevisionIds(attempt)) : [];
+    const response = { attempt: serializeAttempt(attempt), questions: served };
+    if (attempt.mode === "adaptive") {
+        response.answered = parseResponses(attempt).length;
+    }
+    return response;
+}
+
+function summarize(answerResults, questionMap) {
+    const totals = { correctCount: 0, totalQuestions: answerResults.length, weightedScore: 0, weightedMax: 0 };
+    answerResults.forEach((a) => {
+        const weight = questionMap.has(a.questionId) ? questionWeight(questionMap.get(a.questionId)) : 1;
+        totals.weightedMax += weight;
+        if (a.isCorrect) {
+            totals.correctCount++;
+            totals.weightedScore += weight;
+        }
+    });
+    return totals;
+}
+
+// Insert the test result and its answers. Runs inside the transaction that closes the attempt.
+async function saveResult(tx, attempt, answerResults, totals, scored) {
+    const resultInsert = await tx.insert(testResults).values({
+        userId: attempt.userId,
+        testId: attempt.testId,
+        attemptId: attempt.id,
+        score: totals.correctCount,
+        totalQuestions: totals.totalQuestions,
+        weightedScore: totals.weightedScore.toString(),
+        weightedMax: totals.weightedMax.toString(),
+        iqScore: scored.iqScore,
+        percentile: scored.percentile.toString(),
+        normTableId: scored.normTableId,
+    });
+    const resultId = resultInsert[0].insertId;
+
+    if (answerResults.length > 0) {
+        await tx.insert(userAnswers).values(answerResults.map((a) => ({ ...a, testResultId: resultId })));
+    }
+
+    return {
+        id: resultId,
+        attemptId: attempt.id,
+        score: totals.correctCount,
+        totalQuestions: totals.totalQuestions,
+        weightedScore: totals.weightedScore,
+        weightedMax: totals.weightedMax,
+        iqScore: scored.iqScore,
+        percentile: scored.percentile,
+        normVersion: scored.normVersion,
+        percentage: totals.totalQuestions > 0 ? Math.round((totals.correctCount / totals.totalQuestions) * 100) : 0,
+    };
+}
+
+// Score the answers of an attempt. Only questions served in the attempt count, and an attempt can be submitted once.
+export async function submitAttempt(userId, attemptId, answers) {
+    const attempt = await getOwnAttempt(userId, attemptId);
+
+    if (attempt.mode === "adaptive") {
+        throw new ServiceError(400, "Дасан зохицох тестийн асуултад нэг нэгээр хариулна уу");
+    }
+    if (attempt.status === "submitted") {
+        throw new ServiceError(409, "Энэ оролдлогыг аль хэдийн илгээсэн байна");
+    }
+    if (attempt.status === "expired" || isExpired(attempt)) {
+        await markExpired(attempt.id);
+        throw new ServiceError(410, "Тестийн хугацаа дууссан байна");
+    }
+
+    const questionIds = parseQuestionIds(attempt);
+    const served = new Set(questionIds);
+
+    // Keep the first answer per served question, ignore everything else. The time spent per question
+    // is reported by the client and capped at how long the attempt has been open.
+    const openMs = attempt.startedAt ? Math.max(Date.now() - new Date(attempt.startedAt).getTime(), 0) : Infinity;
+    const answerMap = new Map();
+    const timeMap = new Map();
+    for (const answer of answers) {
+        const questionId = parseInt(answer.questionId);
+        if (!served.has(questionId) || answerMap.has(questionId)) continue;
+        answerMap.set(questionId, typeof answer.answer !== "undefined" ? answer.answer : answer.selectedAnswer);
+        const timeSpentMs = Number(answer.timeSpentMs);
+        if (Number.isInteger(timeSpentMs) && timeSpentMs >= 0) {
+            timeMap.set(questionId, Math.min(timeSpentMs, openMs));
+        }
+    }
+
+    // Grade against the revisions that were served, not the questions as they are now
+    const revisionIds = await resolveRevisionIds(attempt);
+    const revisions = await loadRevisions(revisionIds);
+    const servedRevisions = new Map();
+    questionIds.forEach((questionId, i) => {
+        const revision = revisions.get(revisionIds[i]);
+        if (revision) servedRevisions.set(questionId, { revisionId: revision.id, ...revisionAsQuestion(revision) });
+    });
+    const questionMap = new Map([...servedRevisions].map(([questionId, r]) => [questionId, r.question]));
+    const optionIds = await liveOptionIds(questionIds);
+
+    const answerResults = questionIds
+        .filter((questionId) => servedRevisions.has(questionId))
+        .map((questionId) => {
+            const { question, options, revisionId } = servedRevisions.get(questionId);
+            const graded = gradeAnswer(question, options, answerMap.get(questionId));
+            return {
+                questionId,
+                questionRevisionId: revisionId,
+                selectedOptionId: optionIds.has(graded.selectedOptionId) ? graded.selectedOptionId : null,
+                answerText: graded.answerText,
+                isCorrect: graded.isCorrect ? 1 : 0,
+                timeSpentMs: timeMap.has(questionId) ? timeMap.get(questionId) : null,
+            };
+        });
+
+    const totals = summarize(answerResults, questionMap);
+    totals.totalQuestions = questionIds.length;
+    const scored = await scoreResult(attempt.testId, totals);
+
+    return db.transaction(async (tx) => {
+        // Claim the attempt first so concurrent submissions cannot both be scored
+        const claim = await tx
+            .update(testAttempts)
+            .set({ status: "submitted", submittedAt: new Date() })
+            .where(and(eq(testAttempts.id, attempt.id), eq(testAttempts.status, "in_progress")));
+
+        if (claim[0].affectedRows === 0) {
+            throw new ServiceError(409, "Энэ оролдлогыг аль хэдийн илгээсэн байна");
+        }
+
+        return saveResult(tx, attempt, answerResults, totals, scored);
+    });
+}
+
+// Time since the pending adaptive question was served. Each question is served right after the previous
+// answer, so this is the time since the start minus the time spent on the earlier questions. Null when
+// an earlier response has no time (answered before times were recorded).
+function timeSinceServed(attempt, responses) {
+    if (!attempt.startedAt || responses.some((r) => !Number.isInteger(r.timeSpentMs))) return null;
+    const spentMs = responses.reduce((sum, r) => sum + r.timeSpentMs, 0);
+    return Math.max(Date.now() - new Date(attempt.startedAt).getTime() - spentMs, 0);
+}
+
+// Current question of an adaptive attempt
+export async function getNextQuestion(userId, attemptId) {
+    const { attempt, questions: pending, answered } = await getAttempt(userId, attemptId);
+
+    if (attempt.mode !== "adaptive") {
+        throw new ServiceError(400, "Энэ оролдлого дасан зохицох горимд биш байна");
+    }
+    if (attempt.status === "expired") {
+        throw new ServiceError(410, "Тестийн хугацаа дууссан байна");
+    }
+    if (attempt.status !== "in_progress") {
+        throw new ServiceError(409, "Энэ оролдлого аль хэдийн дууссан байна");
+    }
+
+    return { attempt, answered, question: pending[0] || null };
+}
+
+// Answer the pending question of an adaptive attempt. Re-estimates the ability and either serves the
+// next most informative item or, once the standard error or item limit is reached, scores the attempt.
+export async function answerAdaptiveQuestion(userId, attemptId, questionId, answer) {
+    const outcome = await db.transaction(async (tx) => {
+        const rows = await tx.select().from(testAttempts).where(eq(testAttempts.id, attemptId)).for("update");
+        const attempt = rows[0];
+
+        if (!attempt || attempt.userId !== userId) {
+            throw new ServiceError(404, "Оролдлого олдсонгүй");
+        }
+        if (attempt.mode !== "adaptive") {
+            throw new ServiceError(400, "Энэ оролдлого дасан зохицох горимд биш байна");
+        }
+        if (attempt.status === "submitted") {
+            throw new ServiceError(409, "Энэ оролдлогыг аль хэдийн илгээсэн байна");
+        }
+        if (attempt.status === "expired" || isExpired(attempt)) {
+            await tx.update(testAttempts).set({ status: "expired" }).where(eq(testAttempts.id, attempt.id));
+            return { expired: true };
+        }
+
+        const questionIds = parseQuestionIds(attempt);
+        const responses = parseResponses(attempt);
+        if (questionIds[responses.length] !== questionId) {
+            throw new ServiceError(400, "Зөвхөн одоогийн асуултад хариулах боломжтой");
+        }
+
+        const testRows = await tx.select().from(tests).where(eq(tests.id, attempt.testId));
+        const { testQuestions, pinned } = await loadVersionQuestions(attempt.testId, attempt.testVersionId, tx);
+        const revisionIds = await resolveRevisionIds(attempt, tx);
+        const pendingRevisionId = revisionIds[responses.length];
+        const pendingRevision = (await loadRevisions([pendingRevisionId], tx)).get(pendingRevisionId);
+        if (!pendingRevision) {
+            throw new ServiceError(409, "Асуулт устгагдсан байна");
+        }
+
+        const { question: servedQuestion, options } = revisionAsQuestion(pendingRevision);
+        const graded = gradeAnswer(servedQuestion, options, answer);
+        const optionIds = await liveOptionIds([questionId], tx);
+        responses.push({
+            questionId,
+            questionRevisionId: pendingRevision.id,
+            selectedOptionId: optionIds.has(graded.selectedOptionId) ? graded.selectedOptionId : null,
+            answerText: graded.answerText,
+            isCorrect: graded.isCorrect ? 1 : 0,
+            timeSpentMs: timeSinceServed(attempt, responses),
+        });
+
+        const params = await getItemParameters(testQuestions);
+        const ability = estimateAbility(responses.filter((r) => params.has(r.questionId)).map((r) => ({ ...params.get(r.questionId), isCorrect: r.isCorrect })));
+        const remaining = testQuestions.map((q) => q.id).filter((id) => !questionIds.includes(id));
+        const { maxItems, stopSe } = adaptiveLimits(testRows[0], testQuestions.length);
+
+        const state = {
+            responses: JSON.stringify(responses),
+            abilityEstimate: ability.theta.toFixed(3),
+            abilitySe: ability.se.toFixed(3),
+        };
+
+        if (ability.se > stopSe && responses.length < maxItems && remaining.length > 0) {
+            const nextId = pickNextItem(ability.theta, shuffle(remaining), params);
+            const [nextRevisionId] = await revisionIdsFor([nextId], pinned, tx);
+            questionIds.push(nextId);
+            revisionIds.push(nextRevisionId);
+            await tx
+                .update(testAttempts)
+                .set({ ...state, questionIds: JSON.stringify(questionIds), revisionIds: JSON.stringify(revisionIds) })
+                .where(eq(testAttempts.id, attempt.id));
+            return { finished: false, nextRevisionId, answered: responses.length, maxItems };
+        }
+
+        await tx
+            .update(testAttempts)
+            .set({ ...state, status: "submitted", submittedAt: new Date() })
+            .where(eq(testAttempts.id, attempt.id));
+
+        // Weights come from the answered revisions, as in standard mode. Responses recorded
+        // before revisions existed fall back to the question as it is now.
+        const answered = await loadRevisions(responses.map((r) => r.questionRevisionId), tx);
+        const questionMap = new Map(testQuestions.map((q) => [q.id, q]));
+        responses.forEach((r) => {
+            if (answered.has(r.questionRevisionId)) questionMap.set(r.questionId, revisionAsQuestion(answered.get(r.questionRevisionId)).question);
+        });
+        const result = await saveResult(tx, attempt, responses, summarize(responses, questionMap), scoreAbility(ability.theta));
+        return { finished: true, result };
+    });
+
+    if (outcome.expired) {
+        throw new ServiceError(410, "Тестийн хугацаа дууссан байна");
+    }
+    if (outcome.finished) {
+        return { finished: true, result: outcome.result };
+    }
+
+    const [question] = await loadServedQuestions([outcome.nextRevisionId]);
+    return { finished: false, answered: outcome.answered, totalQuestions: outcome.maxItems, question };
+}
@@ -0,0 +1,107 @@
+import { db } from "../db/index.js";
+import { auditLog, users, tests, questions, questionOptions, questionImages, transactions, roles, testAttempts, normTables } from "../db/schema.js";
+import { and, desc, eq, gte, lte, sql } from "drizzle-orm";
+
+// JSON snapshots are capped so a huge payload cannot bloat the table
+const MAX_SNAPSHOT_LENGTH = 60000;
+
+async function firstRow(query) {
+    const rows = await query;
+    return rows[0] || null;
+}
+
+// Current state of an entity by type. Secrets (password, TOTP seed) are never captured.
+const SNAPSHOTS = {
+    user: async (id) => {
+        const user = await firstRow(db.select().from(users).where(eq(users.id, parseInt(id))));
+        if (!user) return null;
+        const { password, totpSecret, ...rest } = user;
+        return rest;
+    },
+    test: (id) => firstRow(db.select().from(tests).where(eq(tests.id, parseInt(id)))),
+    question: async (id) => {
+        const question = await firstRow(db.select().from(questions).where(eq(questions.id, parseInt(id))));
+        if (!question) return null;
+        const options = await db.select().from(questionOptions).where(eq(questionOptions.questionId, question.id));
+        const images = await db.select().from(questionImages).where(eq(questionImages.questionId, question.id));
+        return { ...question, options, images };
+    },
+    transaction: (id) => firstRow(db.select().from(transactions).where(eq(transactions.id, parseInt(id)))),
+    role: (name) => firstRow(db.select().from(roles).where(eq(roles.name, String(name)))),
+    attempt: (id) => firstRow(db.select().from(testAttempts).where(eq(testAttempts.id, parseInt(id)))),
+    norm_table: (id) => firstRow(db.select().from(normTables).where(eq(normTables.id, parseInt(id)))),
+};
+
+export function hasSnapshot(entityType) {
+    return Boolean(SNAPSHOTS[entityType]);
+}
+
+export async function loadSnapshot(entityType, entityId) {
+    const loader = SNAPSHOTS[entityType];
+    if (!loader || entityId === null || entityId === undefined) return null;
+    return loader(entityId);
+}
+
+function toJson(value) {
+    if (value === null || value === undefined) return null;
+    const json = JSON.stringify(value);
+    return json.length > MAX_SNAPSHOT_LENGTH ? JSON.stringify({ truncated: true, preview: json.slice(0, 1000) }) : json;
+}
+
+// Write one audit entry. Never throws: a failed audit write is logged, the action itself already happened.
+export async function recordAudit({ actor, action, entityType, entityId = null, before = null, after = null, request = {} }) {
+    try {
+        await db.insert(auditLog).values({
+            actorId: actor?.id || null,
+            actorRole: actor?.role || null,
+            action,
+            entityType,
+            entityId: entityId === null || entityId === undefined ? null : String(entityId).slice(0, 64),
+            before: toJson(before),
+            after: toJson(after),
+            method: request.method || null,
+            path: request.path ? String(request.path).slice(0, 255) : null,
+            statusCode: request.statusCode || null,
+            ip: request.ip ? String(request.ip).slice(0, 64) : null,
+            userAgent: request.userAgent ? String(request.userAgent).slice(0, 255) : null,
+        });
+    } catch (error) {
+        console.error("Audit log write error:", error);
+    }
+}
+
+function parseJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Filtered, paginated audit log, newest first
+export async function queryAuditLog({ actorId, action, entityType, entityId, from, to }, { limit, offset }) {
+    const conditions = [];
+    if (actorId) conditions.push(eq(auditLog.actorId, actorId));
+    if (action) conditions.push(eq(auditLog.action, action));
+    if (entityType) conditions.push(eq(auditLog.entityType, entityType));
+    if (entityId) conditions.push(eq(auditLog.entityId, String(entityId)));
+    if (from) conditions.push(gte(auditLog.createdAt, from));
+    if (to) conditions.push(lte(auditLog.createdAt, to));
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const totalResult = await db.select({ count: sql`COUNT(*)` }).from(auditLog).where(where);
+    const rows = await db
+        .select({ entry: auditLog, actorUsername: users.username })
+        .from(auditLog)
+        .leftJoin(users, eq(users.id, auditLog.actorId))
+        .where(where)
+        .orderBy(desc(auditLog.createdAt), desc(auditLog.id))
+        .limit(limit)
+        .offset(offset);
+
+    return {
+        items: rows.map(({ entry, actorUsername }) => ({ ...entry, actorUsername, before: parseJson(entry.before), after: parseJson(entry.after) })),
+        total: Number(totalResult[0].count),
+    };
+}
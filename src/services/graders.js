@@ -0,0 +1,163 @@
+import { ServiceError } from "../utils/errors.js";
+
+// Default absolute tolerance for numeric answers when the question does not define one
+const DEFAULT_NUMERIC_TOLERANCE = 1e-9;
+
+// Lowercase Cyrillic letters that look like lowercase Latin ones (text is lowercased before folding).
+// Both sides of a comparison are folded to Latin so answers typed on the wrong keyboard layout still match.
+const HOMOGLYPHS = {
+    а: "a",
+    с: "c",
+    е: "e",
+    о: "o",
+    р: "p",
+    х: "x",
+    у: "y",
+};
+const HOMOGLYPH_RE = new RegExp(`[${Object.keys(HOMOGLYPHS).join("")}]`, "g");
+
+function parseJson(value) {
+    if (typeof value !== "string") return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+// Normalize free text for comparison: Unicode compatibility form, case, whitespace and Cyrillic/Latin look-alikes
+export function normalizeText(value) {
+    if (value === null || typeof value === "undefined") return "";
+    return String(value)
+        .normalize("NFKC")
+        .toLocaleLowerCase("mn")
+        .replace(/ё/g, "е")
+        .replace(HOMOGLYPH_RE, (ch) => HOMOGLYPHS[ch])
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// A comma is a thousands separator in "1,000" and "1,234.5" and a decimal separator in "3,5", where it is
+// the only separator and not followed by exactly three digits. Anything else with a comma is ambiguous.
+function normalizeSeparators(text) {
+    if (!text.includes(",")) return text;
+    if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) return text.replace(/,/g, "");
+    if (/^[-+]?\d*,\d+$/.test(text) && !/,\d{3}$/.test(text)) return text.replace(",", ".");
+    return null;
+}
+
+// Parse a numeric answer. Accepts "3.5", "3,5", "1 000", "1,000" and simple fractions such as "1/2".
+export function parseNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (value === null || typeof value === "undefined") return null;
+
+    const text = normalizeSeparators(String(value).normalize("NFKC").replace(/\s+/g, ""));
+    if (!text) return null;
+
+    const fraction = text.match(/^(-?\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+    if (fraction) {
+        const denominator = parseFloat(fraction[2]);
+        return denominator === 0 ? null : parseFloat(fraction[1]) / denominator;
+    }
+
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+    return parseFloat(text);
+}
+
+function toGrid(value) {
+    const parsed = parseJson(value);
+    if (!Array.isArray(parsed)) return null;
+    return parsed.map((row) => (Array.isArray(row) ? row : [row]));
+}
+
+function answerToText(answer) {
+    if (answer === null || typeof answer === "undefined") return null;
+    return typeof answer === "string" ? answer : JSON.stringify(answer);
+}
+
+// Multiple choice: the answer is the label of the selected option
+function gradeMultipleChoice({ options, answer }) {
+    const selected = answer === null ? null : options.find((o) => o.label === String(answer));
+    return {
+        isCorrect: Boolean(selected && selected.isCorrect),
+        selectedOptionId: selected ? selected.id : null,
+        answerText: answerToText(answer),
+    };
+}
+
+// Short answer: correctAnswer is a string or a JSON array of accepted strings
+function gradeShortAnswer({ question, answer }) {
+    const expected = parseJson(question.correctAnswer);
+    const accepted = (Array.isArray(expected) ? expected : [expected]).map(normalizeText).filter((a) => a.length > 0);
+    const given = normalizeText(answer);
+    return {
+        isCorrect: given.length > 0 && accepted.includes(given),
+        selectedOptionId: null,
+        answerText: answerToText(answer),
+    };
+}
+
+// Numeric: correctAnswer is a number or a JSON object { value, tolerance }
+function gradeNumeric({ question, answer }) {
+    const expected = parseJson(question.correctAnswer);
+    const value = parseNumber(typeof expected === "object" && expected !== null ? expected.value : expected);
+    const tolerance = typeof expected === "object" && expected !== null && parseNumber(expected.tolerance) !== null ? Math.abs(parseNumber(expected.tolerance)) : DEFAULT_NUMERIC_TOLERANCE;
+    const given = parseNumber(answer);
+    return {
+        isCorrect: value !== null && given !== null && Math.abs(given - value) <= tolerance,
+        selectedOptionId: null,
+        answerText: answerToText(answer),
+    };
+}
+
+// Grid: the solution is a 2D array in correctAnswer, or gridData.solution when correctAnswer is not a grid
+function gradeGrid({ question, answer }) {
+    let expected = toGrid(question.correctAnswer);
+    if (!expected) {
+        const gridData = parseJson(question.gridData);
+        expected = gridData && typeof gridData === "object" ? toGrid(gridData.solution) : null;
+    }
+    const given = toGrid(answer);
+
+    let isCorrect = Boolean(expected && given) && expected.length === given.length;
+    for (let r = 0; isCorrect && r < expected.length; r++) {
+        if (expected[r].length !== given[r].length) {
+            isCorrect = false;
+            break;
+        }
+        for (let c = 0; c < expected[r].length; c++) {
+            if (normalizeText(expected[r][c]) !== normalizeText(given[r][c])) {
+                isCorrect = false;
+                break;
+            }
+        }
+    }
+
+    return {
+        isCorrect,
+        selectedOptionId: null,
+        answerText: given ? JSON.stringify(given) : answerToText(answer),
+    };
+}
+
+const graders = new Map([
+    ["multiple_choice", gradeMultipleChoice],
+    ["short_answer", gradeShortAnswer],
+    ["numeric", gradeNumeric],
+    ["grid", gradeGrid],
+]);
+
+// Register (or replace) the grader of a question type
+export function registerGrader(questionType, grader) {
+    graders.set(questionType, grader);
+}
+
+// Grade one answer. Returns { isCorrect, selectedOptionId, answerText } ready to be stored in user_answers.
+export function gradeAnswer(question, options, answer) {
+    const grader = graders.get(question.questionType || "multiple_choice");
+    if (!grader) {
+        throw new ServiceError(500, `Unsupported question type: ${question.questionType}`);
+    }
+    const normalizedAnswer = typeof answer === "undefined" ? null : answer;
+    return grader({ question, options: options || [], answer: normalizedAnswer });
+}
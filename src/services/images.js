@@ -0,0 +1,212 @@
+import crypto from "crypto";
+import path from "path";
+import sharp from "sharp";
+import { ServiceError } from "../utils/errors.js";
+import { getStorage, storageKey, storageRef } from "./storage/index.js";
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_DIMENSION = 2048;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+// WebP variants are written next to the stored image as <name>-w<width>.webp, plus <name>.webp at full size
+const VARIANT_WIDTHS = [320, 640, 1280];
+
+const SIGNATURES = [
+    { ext: "jpg", mime: "image/jpeg", test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { ext: "png", mime: "image/png", test: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { ext: "gif", mime: "image/gif", test: (b) => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")) },
+    { ext: "webp", mime: "image/webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+];
+
+// Prolog an SVG document may start with: XML declaration, comments and a doctype
+const SVG_START = /^\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>\s*)*<svg[\s>]/i;
+
+// Real type of an image from its content, or null when it is not an image we accept.
+// The file name and the declared MIME type are not trusted.
+export function detectImageType(buffer) {
+    const signature = SIGNATURES.find((s) => s.test(buffer));
+    if (signature) return { ext: signature.ext, mime: signature.mime };
+    if (SVG_START.test(buffer.toString("utf8").replace(/^\uFEFF/, ""))) return { ext: "svg", mime: "image/svg+xml" };
+    return null;
+}
+
+const DANGEROUS_ELEMENTS = ["script", "foreignObject", "iframe", "embed", "object", "handler", "listener"];
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction"];
+// Element and attribute names may carry any namespace prefix (<x:script xmlns:x="http://www.w3.org/2000/svg">)
+const PREFIX = "(?:[\\w.-]+:)?";
+const TAG = /<([a-zA-Z][\w:.-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s=>/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+
+// Attribute value as a browser would read it: entities decoded, whitespace and control characters dropped
+function normalizeValue(value) {
+    return value
+        .replace(/^["']|["']$/g, "")
+        .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&colon;/gi, ":")
+        .replace(/[\s\u0000-\u001f]/g, "")
+        .toLowerCase();
+}
+
+function unsafeAttribute(name, value) {
+    const lower = name.toLowerCase().replace(/^[\w.-]+:/, "");
+    if (lower.startsWith("on")) return true;
+    if (value === undefined) return false;
+
+    const normalized = normalizeValue(value);
+    if (/^(javascript|vbscript):/.test(normalized)) return true;
+    if (URL_ATTRIBUTES.includes(lower) && normalized.startsWith("data:") && !/^data:image\/(png|jpeg|gif|webp)[;,]/.test(normalized)) return true;
+    if (lower === "style" && /javascript:|expression\(|@import/.test(normalized)) return true;
+    return false;
+}
+
+// Remove everything from an SVG that can run code: scripts and other active elements, event handler
+// attributes, javascript: URLs and the doctype (which is also where XML entity tricks live).
+export function sanitizeSvg(text) {
+    let svg = text.replace(/^\uFEFF/, "").replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, "");
+    for (const element of DANGEROUS_ELEMENTS) {
+        svg = svg.replace(new RegExp(`<${PREFIX}${element}\\b[\\s\\S]*?<\\/${PREFIX}${element}\\s*>`, "gi"), "").replace(new RegExp(`<${PREFIX}${element}\\b[^>]*>`, "gi"), "");
+    }
+    svg = svg.replace(new RegExp(`<${PREFIX}style\\b[^>]*>([\\s\\S]*?)<\\/${PREFIX}style\\s*>`, "gi"), (match, css) => (/javascript:|expression\(|@import/i.test(css) ? "" : match));
+    return svg.replace(TAG, (match, name, attributes, selfClosing) => {
+        const kept = [];
+        for (const [attribute, attrName, value] of attributes.matchAll(ATTRIBUTE)) {
+            if (!unsafeAttribute(attrName, value)) kept.push(attribute);
+        }
+        return `<${name}${kept.length > 0 ? " " + kept.join(" ") : ""}${selfClosing ? " /" : ""}>`;
+    });
+}
+
+// Stored image plus its WebP variants. Names are derived from the uploaded content.
+export function imageFilenames(filename) {
+    const base = path.basename(filename, path.extname(filename));
+    if (path.extname(filename) === ".svg") return [filename];
+    return [...new Set([filename, `${base}.webp`, ...VARIANT_WIDTHS.map((width) => `${base}-w${width}.webp`)])];
+}
+
+function encode(pipeline, ext) {
+    switch (ext) {
+        case "jpg":
+            return pipeline.jpeg({ quality: 85, mozjpeg: true });
+        case "png":
+            return pipeline.png({ compressionLevel: 9 });
+        case "gif":
+            return pipeline.gif();
+        default:
+            return pipeline.webp({ quality: 85 });
+    }
+}
+
+const CONTENT_TYPES = { jpg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml" };
+
+// Store an object unless it exists already; produce() is only called when it has to be written
+async function putIfMissing(storage, key, produce, written) {
+    if (await storage.exists(key)) {
+        // Reused: refresh it so age-based cleanup of tmp does not remove it right away
+        await storage.touch(key);
+        return;
+    }
+    const ext = path.extname(key).slice(1);
+    // Remote storage serves objects straight from the bucket, without the CSP index.js sets on local
+    // uploads. An SVG opened directly is downloaded instead of rendered; <img> tags still show it.
+    await storage.put(key, await produce(), { contentType: CONTENT_TYPES[ext], contentDisposition: ext === "svg" ? "attachment" : undefined });
+    written.push(key);
+}
+
+// Validate and process an uploaded image and store it under folder ("tmp" or "questions"). Raster images
+// are re-encoded, which drops EXIF and other metadata, capped at MAX_DIMENSION and get WebP variants;
+// SVGs are sanitized. Objects are named by the hash of the uploaded bytes, so the same image is only
+// stored once. imageUrl is the reference kept in the database, url the one to show right away.
+// `written` lists the keys this call created (existing ones are reused and not listed).
+export async function storeImage(buffer, folder) {
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw new ServiceError(400, "Зураг 5MB-аас их байна");
+    }
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new ServiceError(400, "Зөвхөн зураг файл оруулна уу (JPEG, PNG, GIF, WebP, SVG)");
+    }
+
+    const storage = getStorage();
+    const base = crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 32);
+    const key = (name) => `${folder}/${name}`;
+    const reference = (name) => ({ imageUrl: storageRef(key(name)), url: storage.url(key(name)) });
+    const filename = `${base}.${type.ext}`;
+
+    const written = [];
+    try {
+        if (type.ext === "svg") {
+            await putIfMissing(storage, key(filename), () => sanitizeSvg(buffer.toString("utf8")), written);
+            return { ...reference(filename), mime: type.mime, width: null, height: null, variants: [], written };
+        }
+
+        // GIFs keep their frames; other formats are turned upright from their EXIF orientation first
+        const source = () => {
+            const pipeline = sharp(buffer, { animated: type.ext === "gif", limitInputPixels: MAX_INPUT_PIXELS });
+            return type.ext === "gif" ? pipeline : pipeline.rotate();
+        };
+        const resized = () => source().resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: "inside", withoutEnlargement: true });
+
+        let main;
+        try {
+            main = await encode(resized(), type.ext).toBuffer({ resolveWithObject: true });
+        } catch (error) {
+            throw new ServiceError(400, "Зургийг уншиж чадсангүй");
+        }
+        await putIfMissing(storage, key(filename), () => main.data, written);
+
+        const { width, height } = main.info;
+        const variants = [];
+        if (type.ext !== "webp") {
+            const fullName = `${base}.webp`;
+            await putIfMissing(storage, key(fullName), () => resized().webp({ quality: 80 }).toBuffer(), written);
+            variants.push({ width, format: "webp", ...reference(fullName) });
+        }
+        for (const variantWidth of VARIANT_WIDTHS.filter((w) => w < width)) {
+            const variantName = `${base}-w${variantWidth}.webp`;
+            await putIfMissing(storage, key(variantName), () => source().resize({ width: variantWidth }).webp({ quality: 80 }).toBuffer(), written);
+            variants.push({ width: variantWidth, format: "webp", ...reference(variantName) });
+        }
+
+        variants.sort((a, b) => a.width - b.width);
+        return { ...reference(filename), mime: type.mime, width, height: main.info.pageHeight || height, variants, written };
+    } catch (error) {
+        await Promise.all(written.map((k) => storage.delete(k).catch(() => {})));
+        throw error;
+    }
+}
+
+// Move an uploaded image and its variants from tmp/ to questions/ and return the reference to store.
+// Anything that is not a tmp upload is returned unchanged.
+export async function promoteUpload(imageUrl) {
+    const key = storageKey(imageUrl);
+    if (!key || !key.startsWith("tmp/")) {
+        return imageUrl; // Already in final location or no image
+    }
+
+    const storage = getStorage();
+    const filename = path.posix.basename(key);
+    const finalKey = `questions/${filename}`;
+    if (!(await storage.exists(key))) {
+        // Names are content hashes: the same upload may already have been moved by another save
+        return (await storage.exists(finalKey)) ? storageRef(finalKey) : imageUrl;
+    }
+
+    for (const name of imageFilenames(filename)) {
+        const from = `tmp/${name}`;
+        if (!(await storage.exists(from))) continue;
+        if (await storage.exists(`questions/${name}`)) {
+            await storage.delete(from); // Same content is already stored
+        } else {
+            await storage.move(from, `questions/${name}`);
+        }
+    }
+    return storageRef(finalKey);
+}
+
+// Whether a stored image reference points at an object that exists. External URLs are assumed to.
+export async function imageExists(imageUrl) {
+    if (typeof imageUrl !== "string" || imageUrl.length === 0) return false;
+    if (/^https?:\/\//i.test(imageUrl)) return true;
+    const key = storageKey(imageUrl);
+    return key !== null && (await getStorage().exists(key));
+}
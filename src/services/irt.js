@@ -0,0 +1,208 @@
+import { db } from "../db/index.js";
+import { itemParameters, questionRevisions, questions, testResults, userAnswers } from "../db/schema.js";
+import { and, eq, inArray, isNull, or } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+
+// Items need at least this many responses before their calibrated parameters replace the defaults
+const MIN_RESPONSES = 20;
+const MAX_ITERATIONS = 50;
+const CONVERGENCE = 0.001;
+const THETA_LIMIT = 4;
+// Quadrature grid of the EAP ability estimate
+const GRID_STEP = 0.1;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Probability of a correct answer under the 2PL model (1PL when a = 1)
+export function probability(theta, a, b) {
+    return 1 / (1 + Math.exp(-a * (theta - b)));
+}
+
+// Fisher information of an item at the given ability
+export function itemInformation(theta, { a, b }) {
+    const p = probability(theta, a, b);
+    return a * a * p * (1 - p);
+}
+
+// Parameters of an uncalibrated item, derived from the 1-5 difficulty set by the author
+export function defaultParameters(question) {
+    const difficulty = question.difficulty || 1;
+    return { a: 1, b: clamp((difficulty - 3) * 0.75, -THETA_LIMIT, THETA_LIMIT) };
+}
+
+// Expected a posteriori ability estimate with a standard normal prior.
+// responses: [{ a, b, isCorrect }]. Returns { theta, se }.
+export function estimateAbility(responses) {
+    let weightSum = 0;
+    let thetaSum = 0;
+    let thetaSqSum = 0;
+
+    for (let theta = -THETA_LIMIT; theta <= THETA_LIMIT + 1e-9; theta += GRID_STEP) {
+        let logLikelihood = -(theta * theta) / 2;
+        for (const r of responses) {
+            const p = probability(theta, r.a, r.b);
+            logLikelihood += Math.log(r.isCorrect ? p : 1 - p);
+        }
+        const weight = Math.exp(logLikelihood);
+        weightSum += weight;
+        thetaSum += weight * theta;
+        thetaSqSum += weight * theta * theta;
+    }
+
+    const theta = thetaSum / weightSum;
+    const variance = Math.max(thetaSqSum / weightSum - theta * theta, 0);
+    return { theta, se: Math.sqrt(variance) };
+}
+
+// Item parameters for the given question rows, calibrated where available
+export async function getItemParameters(questionRows) {
+    const params = new Map(questionRows.map((q) => [q.id, defaultParameters(q)]));
+    if (questionRows.length === 0) return params;
+
+    const questionIds = questionRows.map((q) => q.id);
+    const rows = await db.select().from(itemParameters).where(inArray(itemParameters.questionId, questionIds));
+    rows.forEach((row) => {
+        params.set(row.questionId, { a: parseFloat(row.discrimination), b: parseFloat(row.difficulty) });
+    });
+    return params;
+}
+
+// Pick the unserved item with the most information at theta
+export function pickNextItem(theta, candidates, params) {
+    let best = null;
+    let bestInfo = -1;
+    for (const id of candidates) {
+        const info = itemInformation(theta, params.get(id));
+        if (info > bestInfo) {
+            best = id;
+            bestInfo = info;
+        }
+    }
+    return best;
+}
+
+// Calibrate the items of a test from user_answers history with joint maximum likelihood.
+// Only answers to the current revision of a question count: answers to content that has since been
+// edited describe a different item. Answers from before revisions existed count while the question is
+// still on its first revision.
+export async function calibrateTest(testId, model = "1pl") {
+    if (!["1pl", "2pl"].includes(model)) {
+        throw new ServiceError(400, "model нь 1pl эсвэл 2pl байх ёстой");
+    }
+
+    const rows = await db
+        .select({ personId: userAnswers.testResultId, itemId: userAnswers.questionId, isCorrect: userAnswers.isCorrect })
+        .from(userAnswers)
+        .innerJoin(testResults, eq(userAnswers.testResultId, testResults.id))
+        .innerJoin(questions, eq(userAnswers.questionId, questions.id))
+        .leftJoin(questionRevisions, eq(questionRevisions.id, questions.currentRevisionId))
+        .where(
+            and(
+                eq(testResults.testId, testId),
+                eq(questions.testId, testId),
+                isNull(questions.archivedAt),
+                or(eq(userAnswers.questionRevisionId, questions.currentRevisionId), and(isNull(userAnswers.questionRevisionId), or(isNull(questionRevisions.id), eq(questionRevisions.revision, 1))))
+            )
+        );
+
+    const itemCounts = new Map();
+    rows.forEach((r) => itemCounts.set(r.itemId, (itemCounts.get(r.itemId) || 0) + 1));
+    const calibrated = new Set([...itemCounts.entries()].filter(([, n]) => n >= MIN_RESPONSES).map(([id]) => id));
+    if (calibrated.size === 0) {
+        throw new ServiceError(400, `Калибровк хийхэд асуулт бүрт хамгийн багадаа ${MIN_RESPONSES} хариулт шаардлагатай`);
+    }
+
+    const data = rows.filter((r) => calibrated.has(r.itemId)).map((r) => ({ ...r, x: r.isCorrect ? 1 : 0 }));
+    const byPerson = new Map();
+    const byItem = new Map();
+    data.forEach((r) => {
+        if (!byPerson.has(r.personId)) byPerson.set(r.personId, []);
+        if (!byItem.has(r.itemId)) byItem.set(r.itemId, []);
+        byPerson.get(r.personId).push(r);
+        byItem.get(r.itemId).push(r);
+    });
+
+    // Start values from observed proportions correct
+    const logit = (p) => Math.log(p / (1 - p));
+    const theta = new Map();
+    byPerson.forEach((rs, id) => theta.set(id, clamp(logit(clamp(rs.filter((r) => r.x).length / rs.length, 0.05, 0.95)), -THETA_LIMIT, THETA_LIMIT)));
+    const items = new Map();
+    byItem.forEach((rs, id) => items.set(id, { a: 1, b: clamp(-logit(clamp(rs.filter((r) => r.x).length / rs.length, 0.05, 0.95)), -THETA_LIMIT, THETA_LIMIT) }));
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let maxChange = 0;
+
+        byItem.forEach((rs, id) => {
+            const item = items.get(id);
+            let gradB = 0;
+            let hessB = 0;
+            let gradA = 0;
+            let hessA = 0;
+            rs.forEach((r) => {
+                const t = theta.get(r.personId);
+                const p = probability(t, item.a, item.b);
+                gradB += -item.a * (r.x - p);
+                hessB -= item.a * item.a * p * (1 - p);
+                gradA += (t - item.b) * (r.x - p);
+                hessA -= (t - item.b) ** 2 * p * (1 - p);
+            });
+            const nextB = clamp(item.b - clamp(gradB / hessB, -1, 1), -THETA_LIMIT, THETA_LIMIT);
+            maxChange = Math.max(maxChange, Math.abs(nextB - item.b));
+            item.b = nextB;
+            if (model === "2pl" && hessA < 0) {
+                const nextA = clamp(item.a - clamp(gradA / hessA, -0.5, 0.5), 0.2, 3);
+                maxChange = Math.max(maxChange, Math.abs(nextA - item.a));
+                item.a = nextA;
+            }
+        });
+
+        byPerson.forEach((rs, id) => {
+            const t = theta.get(id);
+            let grad = 0;
+            let hess = 0;
+            rs.forEach((r) => {
+                const item = items.get(r.itemId);
+                const p = probability(t, item.a, item.b);
+                grad += item.a * (r.x - p);
+                hess -= item.a * item.a * p * (1 - p);
+            });
+            if (hess < 0) {
+                const next = clamp(t - clamp(grad / hess, -1, 1), -THETA_LIMIT, THETA_LIMIT);
+                maxChange = Math.max(maxChange, Math.abs(next - t));
+                theta.set(id, next);
+            }
+        });
+
+        // Anchor the scale: mean ability 0
+        const mean = [...theta.values()].reduce((acc, t) => acc + t, 0) / theta.size;
+        theta.forEach((t, id) => theta.set(id, t - mean));
+        items.forEach((item) => {
+            item.b = clamp(item.b - mean, -THETA_LIMIT, THETA_LIMIT);
+        });
+
+        if (maxChange < CONVERGENCE) break;
+    }
+
+    const calibratedAt = new Date();
+    const result = [];
+    await db.transaction(async (tx) => {
+        for (const [questionId, item] of items) {
+            const values = {
+                model,
+                discrimination: item.a.toFixed(3),
+                difficulty: item.b.toFixed(3),
+                sampleSize: itemCounts.get(questionId),
+                calibratedAt,
+            };
+            await tx
+                .insert(itemParameters)
+                .values({ questionId, ...values })
+                .onDuplicateKeyUpdate({ set: values });
+            result.push({ questionId, ...values });
+        }
+    });
+
+    return { model, persons: byPerson.size, items: result };
+}
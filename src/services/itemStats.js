@@ -0,0 +1,193 @@
+import { db } from "../db/index.js";
+import { questions, questionOptions, testResults, tests, userAnswers } from "../db/schema.js";
+import { and, asc, eq, gte, inArray, isNull, lte, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+
+// Items with fewer responses than this are reported but not flagged
+const MIN_RESPONSES = 30;
+const TOO_HARD_P = 0.2;
+const TOO_EASY_P = 0.9;
+const LOW_DISCRIMINATION = 0.2;
+// A distractor chosen by fewer test takers than this share does not do its job
+const MIN_DISTRACTOR_SHARE = 0.05;
+
+// Score of the result without the item itself, as a share of the other items. Correlating the item
+// with the rest score instead of the total keeps the item from inflating its own discrimination.
+const restScore = sql`(${testResults.score} - ${userAnswers.isCorrect}) / NULLIF(${testResults.totalQuestions} - 1, 0)`;
+
+function round(value, digits = 3) {
+    return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function resultConditions(testId, questionId, { from, to }) {
+    const conditions = [];
+    if (testId) conditions.push(eq(testResults.testId, testId));
+    if (questionId) conditions.push(eq(userAnswers.questionId, questionId));
+    if (from) conditions.push(gte(testResults.completedAt, from));
+    if (to) conditions.push(lte(testResults.completedAt, to));
+    return and(...conditions);
+}
+
+// Per-question sums for p-values, point-biserial correlations and times
+async function aggregateAnswers(where) {
+    const rows = await db
+        .select({
+            questionId: userAnswers.questionId,
+            responses: sql`COUNT(*)`,
+            correct: sql`SUM(${userAnswers.isCorrect})`,
+            timedResponses: sql`COUNT(${userAnswers.timeSpentMs})`,
+            avgTimeMs: sql`AVG(${userAnswers.timeSpentMs})`,
+            n: sql`COUNT(${restScore})`,
+            sumX: sql`SUM(${restScore})`,
+            sumX2: sql`SUM(${restScore} * ${restScore})`,
+            sumY: sql`SUM(CASE WHEN ${restScore} IS NOT NULL THEN ${userAnswers.isCorrect} END)`,
+            sumXY: sql`SUM(${restScore} * ${userAnswers.isCorrect})`,
+        })
+        .from(userAnswers)
+        .innerJoin(testResults, eq(testResults.id, userAnswers.testResultId))
+        .where(where)
+        .groupBy(userAnswers.questionId);
+    return new Map(rows.map((r) => [r.questionId, Object.fromEntries(Object.entries(r).map(([key, value]) => [key, value === null ? null : Number(value)]))]));
+}
+
+// Answer counts per question and label (multiple choice answers are stored as the option label)
+async function aggregateChoices(where) {
+    const rows = await db
+        .select({
+            questionId: userAnswers.questionId,
+            label: userAnswers.answerText,
+            count: sql`COUNT(*)`,
+            meanRestScore: sql`AVG(${restScore})`,
+        })
+        .from(userAnswers)
+        .innerJoin(testResults, eq(testResults.id, userAnswers.testResultId))
+        .where(where)
+        .groupBy(userAnswers.questionId, userAnswers.answerText);
+    const choices = new Map();
+    for (const row of rows) {
+        const list = choices.get(row.questionId) || [];
+        list.push({ label: row.label || null, count: Number(row.count), meanRestScore: row.meanRestScore !== null ? Number(row.meanRestScore) : null });
+        choices.set(row.questionId, list);
+    }
+    return choices;
+}
+
+// Point-biserial correlation between answering correctly (y) and the rest score (x)
+function pointBiserial({ n, sumX, sumX2, sumY, sumXY }) {
+    if (!n || n < 2) return null;
+    const varianceX = n * sumX2 - sumX * sumX;
+    const varianceY = n * sumY - sumY * sumY; // y is 0/1, so sum(y^2) = sum(y)
+    if (varianceX <= 0 || varianceY <= 0) return null;
+    return (n * sumXY - sumX * sumY) / Math.sqrt(varianceX * varianceY);
+}
+
+// Options of a multiple-choice question with how often each was chosen. Labels answered on a
+// revision whose option has since been removed are kept; unanswered responses are listed as omitted.
+function distractorAnalysis(options, choices, responses) {
+    const byLabel = new Map((choices || []).map((c) => [c.label, c]));
+    const share = (count) => (responses > 0 ? round(count / responses) : null);
+    const rows = options.map((o) => {
+        const choice = byLabel.get(o.label);
+        byLabel.delete(o.label);
+        const count = choice ? choice.count : 0;
+        return { label: o.label, optionText: o.optionText, isCorrect: Boolean(o.isCorrect), removed: false, omitted: false, count, share: share(count), meanRestScore: choice ? round(choice.meanRestScore) : null };
+    });
+    for (const choice of byLabel.values()) {
+        rows.push({ label: choice.label, optionText: null, isCorrect: false, removed: choice.label !== null, omitted: choice.label === null, count: choice.count, share: share(choice.count), meanRestScore: round(choice.meanRestScore) });
+    }
+    return rows;
+}
+
+function flagItem(item) {
+    const flags = [];
+    if (item.responses < MIN_RESPONSES) return flags;
+    if (item.pValue < TOO_HARD_P) flags.push("too_hard");
+    if (item.pValue > TOO_EASY_P) flags.push("too_easy");
+    if (item.discrimination !== null) {
+        if (item.discrimination < 0) flags.push("negative_discrimination");
+        else if (item.discrimination < LOW_DISCRIMINATION) flags.push("low_discrimination");
+    }
+    if (item.distractors) {
+        const key = item.distractors.find((d) => d.isCorrect);
+        const distractors = item.distractors.filter((d) => !d.isCorrect && !d.omitted && !d.removed);
+        if (distractors.some((d) => d.share < MIN_DISTRACTOR_SHARE)) flags.push("nonfunctioning_distractor");
+        // Stronger test takers prefer a wrong option: often a second correct answer or a misleading key
+        if (key && key.meanRestScore !== null && distractors.some((d) => d.count > 0 && d.meanRestScore !== null && d.meanRestScore > key.meanRestScore)) {
+            flags.push("distractor_outperforms_key");
+        }
+    }
+    return flags;
+}
+
+function buildItem(question, options, totals, choices) {
+    const responses = totals ? totals.responses : 0;
+    const item = {
+        questionId: question.id,
+        questionOrder: question.questionOrder,
+        questionType: question.questionType,
+        questionText: question.questionText,
+        difficulty: question.difficulty,
+        responses,
+        pValue: responses > 0 ? round(totals.correct / responses) : null,
+        discrimination: totals ? round(pointBiserial(totals)) : null,
+        avgTimeSeconds: totals && totals.avgTimeMs !== null ? round(totals.avgTimeMs / 1000, 1) : null,
+        timedResponses: totals ? totals.timedResponses : 0,
+        distractors: question.questionType === "multiple_choice" ? distractorAnalysis(options, choices, responses) : null,
+    };
+    item.flags = flagItem(item);
+    return item;
+}
+
+// Item statistics of every question of a test from the scored results in the date range
+export async function getTestItemStatistics(testId, { from = null, to = null } = {}) {
+    const testRows = await db.select({ id: tests.id, title: tests.title }).from(tests).where(eq(tests.id, testId));
+    if (testRows.length === 0) {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+
+    const testQuestions = await db
+        .select()
+        .from(questions)
+        .where(and(eq(questions.testId, testId), isNull(questions.archivedAt)))
+        .orderBy(asc(questions.questionOrder), asc(questions.id));
+    const ids = testQuestions.map((q) => q.id);
+    const options = ids.length > 0 ? await db.select().from(questionOptions).where(inArray(questionOptions.questionId, ids)).orderBy(asc(questionOptions.label)) : [];
+
+    const where = resultConditions(testId, null, { from, to });
+    const totals = await aggregateAnswers(where);
+    const choices = await aggregateChoices(where);
+    const resultCount = await db.select({ count: sql`COUNT(*)` }).from(testResults).where(where);
+
+    const items = testQuestions.map((q) =>
+        buildItem(
+            q,
+            options.filter((o) => o.questionId === q.id),
+            totals.get(q.id),
+            choices.get(q.id)
+        )
+    );
+    return {
+        test: testRows[0],
+        from,
+        to,
+        results: Number(resultCount[0].count),
+        minResponses: MIN_RESPONSES,
+        flaggedCount: items.filter((item) => item.flags.length > 0).length,
+        items,
+    };
+}
+
+// Item statistics of a single question across all results it was answered in
+export async function getQuestionItemStatistics(questionId, { from = null, to = null } = {}) {
+    const rows = await db.select().from(questions).where(eq(questions.id, questionId));
+    if (rows.length === 0) {
+        throw new ServiceError(404, "Асуулт олдсонгүй");
+    }
+
+    const options = await db.select().from(questionOptions).where(eq(questionOptions.questionId, questionId)).orderBy(asc(questionOptions.label));
+    const where = resultConditions(null, questionId, { from, to });
+    const totals = await aggregateAnswers(where);
+    const choices = await aggregateChoices(where);
+
+    return { from, to, minResponses: MIN_RESPONSES, ...buildItem(rows[0], options, totals.get(questionId), choices.get(questionId)) };
+}
@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import { db } from "../db/index.js";
+import { ledgerEntries, users } from "../db/schema.js";
+import { and, asc, desc, eq, inArray, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { toCents, fromCents } from "../utils/money.js";
+
+export const WALLET_ACCOUNT = "wallet";
+export const SYSTEM_ACCOUNTS = {
+    opening: "system:opening",
+    adjustment: "system:adjustment",
+    sales: "system:sales",
+    topup: "system:topup",
+};
+
+// Post one balanced movement inside the caller's transaction.
+// legs: [{ userId } | { account }, direction: "debit" | "credit", amount ] — wallet legs update users.balance.
+// Wallet rows are locked (in id order, to avoid deadlocks) and may not go negative unless allowNegative is set.
+export async function postMovement(tx, { legs, referenceType = null, referenceId = null, memo = null, createdBy = null, allowNegative = false }) {
+    const normalized = legs.map((leg) => ({ ...leg, cents: toCents(leg.amount) }));
+
+    if (normalized.some((leg) => !Number.isInteger(leg.cents) || leg.cents <= 0)) {
+        throw new ServiceError(400, "Дүн буруу");
+    }
+    const debit = normalized.filter((leg) => leg.direction === "debit").reduce((acc, leg) => acc + leg.cents, 0);
+    const credit = normalized.filter((leg) => leg.direction === "credit").reduce((acc, leg) => acc + leg.cents, 0);
+    if (debit !== credit) {
+        throw new Error(`Unbalanced ledger movement: debit ${debit} != credit ${credit}`);
+    }
+
+    const userIds = [...new Set(normalized.filter((leg) => leg.userId).map((leg) => leg.userId))].sort((a, b) => a - b);
+    const balances = new Map();
+    if (userIds.length > 0) {
+        const locked = await tx.select({ id: users.id, balance: users.balance }).from(users).where(inArray(users.id, userIds)).orderBy(asc(users.id)).for("update");
+        if (locked.length !== userIds.length) {
+            throw new ServiceError(404, "Хэрэглэгч олдсонгүй");
+        }
+        locked.forEach((u) => balances.set(u.id, toCents(u.balance || 0)));
+    }
+
+    const movementId = crypto.randomUUID();
+    const rows = normalized.map((leg) => {
+        let balanceAfter = null;
+        if (leg.userId) {
+            const next = balances.get(leg.userId) + (leg.direction === "credit" ? leg.cents : -leg.cents);
+            if (next < 0 && !allowNegative) {
+                throw new ServiceError(400, "Үлдэгдэл хүрэлцэхгүй байна");
+            }
+            balances.set(leg.userId, next);
+            balanceAfter = fromCents(next);
+        }
+        return {
+            movementId,
+            account: leg.userId ? WALLET_ACCOUNT : leg.account,
+            userId: leg.userId || null,
+            direction: leg.direction,
+            amount: fromCents(leg.cents),
+            balanceAfter,
+            referenceType,
+            referenceId,
+            memo,
+            createdBy,
+        };
+    });
+
+    for (const userId of userIds) {
+        await tx
+            .update(users)
+            .set({ balance: fromCents(balances.get(userId)) })
+            .where(eq(users.id, userId));
+    }
+    await tx.insert(ledgerEntries).values(rows);
+
+    return { movementId, balances: new Map([...balances].map(([id, cents]) => [id, fromCents(cents)])) };
+}
+
+// Ledger entries of a user's wallet, newest first
+export async function getWalletEntries(userId, { limit = 100, offset = 0 } = {}) {
+    return db.select().from(ledgerEntries).where(eq(ledgerEntries.userId, userId)).orderBy(desc(ledgerEntries.id)).limit(limit).offset(offset);
+}
+
+function walletSum(executor, userIds) {
+    const query = executor
+        .select({
+            userId: ledgerEntries.userId,
+            cents: sql`SUM(CASE WHEN ${ledgerEntries.direction} = 'credit' THEN ${ledgerEntries.amount} ELSE -${ledgerEntries.amount} END) * 100`,
+        })
+        .from(ledgerEntries);
+    const where = userIds ? and(eq(ledgerEntries.account, WALLET_ACCOUNT), inArray(ledgerEntries.userId, userIds)) : eq(ledgerEntries.account, WALLET_ACCOUNT);
+    return query.where(where).groupBy(ledgerEntries.userId);
+}
+
+// Wallet balance of every user rebuilt from the ledger, compared with users.balance
+export async function reconcileBalances() {
+    const sums = await walletSum(db);
+    const ledgerMap = new Map(sums.map((s) => [s.userId, Math.round(Number(s.cents))]));
+
+    const allUsers = await db.select({ id: users.id, username: users.username, balance: users.balance }).from(users);
+    return allUsers
+        .map((u) => {
+            const stored = toCents(u.balance || 0);
+            const ledger = ledgerMap.get(u.id) || 0;
+            return { userId: u.id, username: u.username, balance: fromCents(stored), ledgerBalance: fromCents(ledger), difference: fromCents(stored - ledger) };
+        })
+        .filter((r) => r.difference !== "0.00");
+}
+
+// Post opening-balance movements for balances that predate the ledger, so every wallet can be rebuilt from it.
+// Only wallets without any ledger entry get one: a wallet that already has entries but disagrees with
+// them has drifted, and that is returned in skipped for investigation instead of being written off.
+export async function recordOpeningBalances(createdBy = null) {
+    const mismatches = await reconcileBalances();
+    let posted = 0;
+    const skipped = [];
+
+    for (const mismatch of mismatches) {
+        const { userId } = mismatch;
+        await db.transaction(async (tx) => {
+            const locked = await tx.select({ balance: users.balance }).from(users).where(eq(users.id, userId)).for("update");
+            const sums = await walletSum(tx, [userId]);
+            if (sums.length > 0) {
+                skipped.push(mismatch);
+                return;
+            }
+            const stored = toCents(locked[0].balance || 0);
+            if (stored === 0) return;
+
+            // Rewind the wallet to zero, then post the opening balance so both end up equal
+            await tx
+                .update(users)
+                .set({ balance: fromCents(0) })
+                .where(eq(users.id, userId));
+            await postMovement(tx, {
+                legs: [
+                    { userId, direction: stored > 0 ? "credit" : "debit", amount: fromCents(Math.abs(stored)) },
+                    { account: SYSTEM_ACCOUNTS.opening, direction: stored > 0 ? "debit" : "credit", amount: fromCents(Math.abs(stored)) },
+                ],
+                referenceType: "opening_balance",
+                memo: "Opening balance",
+                createdBy,
+                allowNegative: true,
+            });
+            posted++;
+        });
+    }
+
+    return { posted, skipped };
+}
@@ -0,0 +1,52 @@
+import { getRateLimitStore } from "./rateLimit/index.js";
+
+const ACCOUNT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_ACCOUNT_THRESHOLD) || 5;
+const IP_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD) || 20;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BASE_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const MAX_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60) * 1000;
+
+function subjects(ip, email) {
+    return [
+        { key: `login:ip:${ip}`, threshold: IP_THRESHOLD },
+        { key: `login:account:${String(email).trim().toLowerCase()}`, threshold: ACCOUNT_THRESHOLD },
+    ];
+}
+
+// Lock length doubles with every failure past the threshold: 1, 2, 4, ... minutes up to the max
+function lockDuration(failures, threshold) {
+    return Math.min(BASE_LOCK_MS * 2 ** (failures - threshold), MAX_LOCK_MS);
+}
+
+// Seconds until the IP or the account may try again, 0 when neither is locked
+export async function getLoginLockout(ip, email) {
+    const store = getRateLimitStore();
+    let until = 0;
+    for (const { key } of subjects(ip, email)) {
+        const lock = await store.get(`${key}:lock`);
+        if (lock) until = Math.max(until, lock.resetAt);
+    }
+    return until > Date.now() ? Math.ceil((until - Date.now()) / 1000) : 0;
+}
+
+// Count a failed login for both the IP and the account and lock whichever crossed its threshold.
+// Returns the lockout in seconds, 0 when the caller may still retry.
+export async function recordLoginFailure(ip, email) {
+    const store = getRateLimitStore();
+    for (const { key, threshold } of subjects(ip, email)) {
+        const failures = await store.increment(`${key}:failures`, FAILURE_WINDOW_MS);
+        if (failures.count >= threshold) {
+            await store.set(`${key}:lock`, failures.count, lockDuration(failures.count, threshold));
+        }
+    }
+    return getLoginLockout(ip, email);
+}
+
+// A successful login clears the account's failures. The IP keeps its count so one valid
+// account cannot be used to reset an attacker's budget for guessing others.
+export async function clearLoginFailures(email) {
+    const store = getRateLimitStore();
+    const { key } = subjects(null, email)[1];
+    await store.reset(`${key}:failures`);
+    await store.reset(`${key}:lock`);
+}
@@ -0,0 +1,63 @@
+import nodemailer from "nodemailer";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Transports take { to, subject, text, html } and deliver the message
+const transports = {
+    // Real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+        return (message) => transporter.sendMail({ from: process.env.MAIL_FROM, ...message });
+    },
+
+    // Local development: write each message as a JSON file into MAIL_DIR (default mail-outbox/)
+    file: () => {
+        const dir = process.env.MAIL_DIR || path.join(__dirname, "../../../mail-outbox");
+        return async (message) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ from: process.env.MAIL_FROM, ...message, date: new Date().toISOString() }, null, 2));
+        };
+    },
+
+    // Local development only: print the message, links and tokens included
+    console: () => async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+};
+
+let send = null;
+
+// MAIL_TRANSPORT has no default: the development transports expose verification and reset links, so
+// they have to be chosen explicitly and a missing setting fails instead of falling back to one of them.
+function getTransport() {
+    if (!send) {
+        const name = process.env.MAIL_TRANSPORT;
+        if (!name) {
+            throw new Error("MAIL_TRANSPORT must be set (smtp, or file / console for local development)");
+        }
+        if (!Object.hasOwn(transports, name)) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        send = transports[name]();
+    }
+    return send;
+}
+
+// Select the transport at startup so a missing or unknown MAIL_TRANSPORT is reported right away
+export function initMailer() {
+    getTransport();
+}
+
+export async function sendMail(message) {
+    await getTransport()(message);
+}
@@ -0,0 +1,170 @@
+import { db } from "../db/index.js";
+import { normTables, testResults, tests } from "../db/schema.js";
+import { and, eq, desc, isNotNull, gt, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { normalQuantile, weightedPercentage } from "./scoring.js";
+
+// Fewer historical results than this give unstable norms
+const MIN_SAMPLE_SIZE = 30;
+// Score points (weighted percentage) of a computed percentile table
+const TABLE_STEP = 5;
+
+function serializeNormTable(row) {
+    return {
+        ...row,
+        mean: row.mean !== null ? parseFloat(row.mean) : null,
+        sd: row.sd !== null ? parseFloat(row.sd) : null,
+        points: row.points ? JSON.parse(row.points) : null,
+    };
+}
+
+async function ensureTest(testId) {
+    const rows = await db.select({ id: tests.id }).from(tests).where(eq(tests.id, testId));
+    if (rows.length === 0) {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+}
+
+function validateNorm({ method, mean, sd, points }) {
+    if (method === "zscore") {
+        if (typeof mean !== "number" || typeof sd !== "number" || sd <= 0) {
+            throw new ServiceError(400, "zscore аргад mean болон эерэг sd шаардлагатай");
+        }
+        return { method, mean: mean.toString(), sd: sd.toString(), points: null };
+    }
+    if (method === "table") {
+        if (!Array.isArray(points) || points.length < 2) {
+            throw new ServiceError(400, "table аргад хамгийн багадаа 2 цэг шаардлагатай");
+        }
+        const cleaned = points.map((p) => ({ score: Number(p.score), iq: Number(p.iq) }));
+        if (cleaned.some((p) => !Number.isFinite(p.score) || !Number.isFinite(p.iq) || p.score < 0 || p.score > 100)) {
+            throw new ServiceError(400, "Цэг бүр 0-100 хооронд score болон iq утгатай байх ёстой");
+        }
+        cleaned.sort((a, b) => a.score - b.score);
+        return { method, mean: null, sd: null, points: JSON.stringify(cleaned) };
+    }
+    throw new ServiceError(400, "method нь zscore эсвэл table байх ёстой");
+}
+
+// Store a new norm version and make it the active one. Older versions are kept for reproducibility.
+async function insertNormVersion(testId, values) {
+    return db.transaction(async (tx) => {
+        const latest = await tx
+            .select({ version: sql`COALESCE(MAX(${normTables.version}), 0)` })
+            .from(normTables)
+            .where(eq(normTables.testId, testId));
+        const version = Number(latest[0].version) + 1;
+
+        await tx.update(normTables).set({ active: false }).where(eq(normTables.testId, testId));
+        const insert = await tx.insert(normTables).values({ ...values, testId, version, active: true });
+
+        const rows = await tx.select().from(normTables).where(eq(normTables.id, insert[0].insertId));
+        return serializeNormTable(rows[0]);
+    });
+}
+
+export async function listNormTables(testId) {
+    const rows = await db.select().from(normTables).where(eq(normTables.testId, testId)).orderBy(desc(normTables.version));
+    return rows.map(serializeNormTable);
+}
+
+// Upload a norm table given by an admin
+export async function uploadNormTable(testId, adminId, body) {
+    await ensureTest(testId);
+    const norm = validateNorm(body);
+    return insertNormVersion(testId, { ...norm, source: "upload", createdBy: adminId });
+}
+
+// Compute a norm table from the historical results of the test
+export async function recomputeNormTable(testId, adminId, method = "zscore") {
+    await ensureTest(testId);
+
+    const results = await db
+        .select({ weightedScore: testResults.weightedScore, weightedMax: testResults.weightedMax })
+        .from(testResults)
+        .where(and(eq(testResults.testId, testId), isNotNull(testResults.weightedScore), gt(testResults.weightedMax, "0")));
+
+    const scores = results.map((r) => weightedPercentage(parseFloat(r.weightedScore), parseFloat(r.weightedMax)));
+    if (scores.length < MIN_SAMPLE_SIZE) {
+        throw new ServiceError(400, `Норм тооцоолоход хамгийн багадаа ${MIN_SAMPLE_SIZE} үр дүн шаардлагатай (одоо ${scores.length})`);
+    }
+
+    if (method === "zscore") {
+        const mean = scores.reduce((acc, s) => acc + s, 0) / scores.length;
+        const variance = scores.reduce((acc, s) => acc + (s - mean) ** 2, 0) / (scores.length - 1);
+        const sd = Math.sqrt(variance);
+        if (sd === 0) {
+            throw new ServiceError(400, "Үр дүнгийн тархалт тэг байна");
+        }
+        return insertNormVersion(testId, {
+            method,
+            mean: mean.toFixed(4),
+            sd: sd.toFixed(4),
+            points: null,
+            source: "computed",
+            sampleSize: scores.length,
+            createdBy: adminId,
+        });
+    }
+
+    if (method === "table") {
+        // Mid-rank percentile of each score point mapped onto the IQ scale
+        const points = [];
+        for (let score = 0; score <= 100; score += TABLE_STEP) {
+            const below = scores.filter((s) => s < score).length;
+            const equal = scores.filter((s) => s === score).length;
+            const rank = Math.min(Math.max((below + equal / 2) / scores.length, 0.001), 0.999);
+            points.push({ score, iq: Math.round((100 + 15 * normalQuantile(rank)) * 10) / 10 });
+        }
+        return insertNormVersion(testId, {
+            method,
+            mean: null,
+            sd: null,
+            points: JSON.stringify(points),
+            source: "computed",
+            sampleSize: scores.length,
+            createdBy: adminId,
+        });
+    }
+
+    throw new ServiceError(400, "method нь zscore эсвэл table байх ёстой");
+}
+
+// Make an existing norm version the active one again
+export async function activateNormTable(testId, normTableId) {
+    await db.transaction(async (tx) => {
+        const rows = await tx
+            .select({ id: normTables.id })
+            .from(normTables)
+            .where(and(eq(normTables.id, normTableId), eq(normTables.testId, testId)));
+        if (rows.length === 0) {
+            throw new ServiceError(404, "Норм хүснэгт олдсонгүй");
+        }
+        await tx.update(normTables).set({ active: false }).where(eq(normTables.testId, testId));
+        await tx.update(normTables).set({ active: true }).where(eq(normTables.id, normTableId));
+    });
+}
+
+// Delete a test together with its norm tables. Results scored against one of them keep pointing at it,
+// so old scores stay reproducible, and the test cannot be deleted while such results exist.
+export async function deleteTest(testId) {
+    const scored = await db
+        .select({ count: sql`COUNT(*)` })
+        .from(testResults)
+        .innerJoin(normTables, eq(normTables.id, testResults.normTableId))
+        .where(eq(normTables.testId, testId));
+    if (Number(scored[0].count) > 0) {
+        throw new ServiceError(409, "Энэ тестийн норм хүснэгтээр үнэлэгдсэн үр дүн байгаа тул устгах боломжгүй");
+    }
+
+    try {
+        // Questions and norm tables are cascade deleted
+        await db.delete(tests).where(eq(tests.id, testId));
+    } catch (error) {
+        // A result was scored against the test's norm table in the meantime
+        if (error.code === "ER_ROW_IS_REFERENCED_2") {
+            throw new ServiceError(409, "Энэ тестийн норм хүснэгтээр үнэлэгдсэн үр дүн байгаа тул устгах боломжгүй");
+        }
+        throw error;
+    }
+}
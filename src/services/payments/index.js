@@ -0,0 +1,44 @@
+import { ServiceError } from "../../utils/errors.js";
+import { mockProvider } from "./mock.js";
+
+// Payment providers by name. A provider implements:
+//   createInvoice({ invoiceId, amount, description }) -> { providerInvoiceId, paymentUrl }
+//   checkStatus(providerInvoiceId) -> { status: "pending" | "paid" | "failed" | "expired", amount? }
+//   parseWebhook({ headers, rawBody }) -> { providerInvoiceId, status, amount? }, throwing on a bad signature
+const providers = new Map();
+
+// The mock provider lets users pay their own invoices, so it only exists when enabled explicitly
+// (PAYMENT_PROVIDER=mock or ENABLE_MOCK_PAYMENTS=true) and never without its own webhook secret.
+export function mockPaymentsEnabled() {
+    return process.env.PAYMENT_PROVIDER === "mock" || process.env.ENABLE_MOCK_PAYMENTS === "true";
+}
+
+function ensureMockProvider() {
+    if (providers.has(mockProvider.name) || !mockPaymentsEnabled()) return;
+    if (!process.env.MOCK_PAYMENT_SECRET) {
+        throw new Error("MOCK_PAYMENT_SECRET must be set to enable mock payments");
+    }
+    providers.set(mockProvider.name, mockProvider);
+}
+
+// Called at startup so that a misconfigured mock provider stops the server
+export function initPaymentProviders() {
+    ensureMockProvider();
+}
+
+export function registerPaymentProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+// Provider by name. Without a name the configured one is used; clients never choose it.
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || (mockPaymentsEnabled() ? "mock" : null)) {
+    ensureMockProvider();
+    if (!name) {
+        throw new ServiceError(503, "Төлбөрийн үйлчилгээ тохируулаагүй байна");
+    }
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new ServiceError(400, `Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { ServiceError } from "../../utils/errors.js";
+
+// Local stand-in for an invoice-based payment provider (QPay style). Invoices live in memory,
+// and "paying" one produces a webhook signed exactly like a real provider callback would be.
+const invoices = new Map();
+
+function secret() {
+    if (!process.env.MOCK_PAYMENT_SECRET) {
+        throw new Error("MOCK_PAYMENT_SECRET is not set");
+    }
+    return process.env.MOCK_PAYMENT_SECRET;
+}
+
+function sign(rawBody) {
+    return crypto.createHmac("sha256", secret()).update(rawBody).digest("hex");
+}
+
+export const mockProvider = {
+    name: "mock",
+
+    async createInvoice({ invoiceId, amount, description }) {
+        const providerInvoiceId = `mock_${invoiceId}_${crypto.randomBytes(6).toString("hex")}`;
+        invoices.set(providerInvoiceId, { amount, description, status: "pending" });
+        const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`;
+        return { providerInvoiceId, paymentUrl: `${baseUrl}/api/payments/mock/${providerInvoiceId}/pay` };
+    },
+
+    async checkStatus(providerInvoiceId) {
+        const invoice = invoices.get(providerInvoiceId);
+        if (!invoice) return { status: "pending" };
+        return { status: invoice.status, amount: invoice.amount };
+    },
+
+    // Verify the signature and extract { providerInvoiceId, status, amount } from a callback
+    async parseWebhook({ headers, rawBody }) {
+        const signature = headers["x-mock-signature"];
+        const expected = sign(rawBody);
+        if (typeof signature !== "string" || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new ServiceError(401, "Invalid webhook signature");
+        }
+        const payload = JSON.parse(rawBody.toString("utf8"));
+        return { providerInvoiceId: payload.invoiceId, status: payload.status, amount: payload.amount };
+    },
+
+    // Mark an invoice paid and build the signed callback the provider would send
+    simulatePayment(providerInvoiceId) {
+        const invoice = invoices.get(providerInvoiceId);
+        if (!invoice) {
+            throw new ServiceError(404, "Нэхэмжлэх олдсонгүй");
+        }
+        invoice.status = "paid";
+        const rawBody = Buffer.from(JSON.stringify({ invoiceId: providerInvoiceId, status: "paid", amount: invoice.amount }));
+        return { headers: { "x-mock-signature": sign(rawBody) }, rawBody };
+    },
+};
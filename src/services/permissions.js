@@ -0,0 +1,87 @@
+import { db } from "../db/index.js";
+import { roles, users } from "../db/schema.js";
+import { eq } from "drizzle-orm";
+
+// Every permission the API checks. Routes name the permission they need with requirePermission().
+export const PERMISSIONS = {
+    "users:read": "Хэрэглэгчдийн мэдээлэл харах",
+    "users:manage": "Хэрэглэгчийн сесс, 2FA удирдах",
+    "roles:manage": "Эрх, үүрэг удирдах",
+    "balances:adjust": "Хэрэглэгчийн үлдэгдэл өөрчлөх",
+    "transactions:read": "Гүйлгээ, ledger харах",
+    "transactions:approve": "Гүйлгээ батлах, цуцлах",
+    "attempts:refund": "Тестийн төлбөр буцаах",
+    "results:read": "Бусдын тестийн үр дүн харах",
+    "stats:read": "Статистик харах",
+    "questions:read": "Асуулт харах",
+    "questions:write": "Асуулт нэмэх, засах, устгах",
+    "tests:read": "Тест харах",
+    "tests:write": "Тест нэмэх, засах, устгах",
+    "tests:publish": "Тест нийтлэх",
+    "norms:manage": "Норм, IRT калибровк удирдах",
+    "audit:read": "Аудитын бүртгэл харах",
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles created at startup. Their permissions can be edited afterwards, except admin which always has all of them.
+export const SYSTEM_ROLES = {
+    user: { description: "Энгийн хэрэглэгч", permissions: [] },
+    admin: { description: "Бүх эрхтэй админ", permissions: ALL_PERMISSIONS },
+    editor: {
+        description: "Асуулт, тест удирдах",
+        permissions: ["questions:read", "questions:write", "tests:read", "tests:write", "tests:publish", "norms:manage", "stats:read"],
+    },
+    finance: {
+        description: "Гүйлгээ, үлдэгдэл удирдах",
+        permissions: ["users:read", "transactions:read", "transactions:approve", "balances:adjust", "attempts:refund", "stats:read"],
+    },
+};
+
+export function parsePermissions(value) {
+    try {
+        const parsed = JSON.parse(value || "[]");
+        return Array.isArray(parsed) ? parsed.filter((p) => ALL_PERMISSIONS.includes(p)) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Permissions of a role row, falling back to the built-in definition before the row exists
+export function rolePermissions(roleName, row) {
+    if (roleName === "admin") return new Set(ALL_PERMISSIONS);
+    if (row) return new Set(parsePermissions(row.permissions));
+    return new Set(SYSTEM_ROLES[roleName]?.permissions || []);
+}
+
+// Role, token version and permissions of a user, read fresh from the database
+export async function getUserAccess(userId) {
+    const rows = await db
+        .select({ role: users.role, tokenVersion: users.tokenVersion, rolePermissions: roles.permissions, roleId: roles.id })
+        .from(users)
+        .leftJoin(roles, eq(roles.name, users.role))
+        .where(eq(users.id, userId));
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+        role: row.role,
+        tokenVersion: row.tokenVersion,
+        permissions: rolePermissions(row.role, row.roleId ? { permissions: row.rolePermissions } : null),
+    };
+}
+
+export async function hasPermission(userId, permission) {
+    const access = await getUserAccess(userId);
+    return Boolean(access && access.permissions.has(permission));
+}
+
+// Insert the system roles that are missing. Existing rows are left alone so edits survive restarts.
+export async function ensureSystemRoles() {
+    for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+        await db
+            .insert(roles)
+            .values({ name, description: role.description, permissions: JSON.stringify(role.permissions), isSystem: true })
+            .onDuplicateKeyUpdate({ set: { isSystem: true } });
+    }
+}
@@ -0,0 +1,134 @@
+import { db } from "../db/index.js";
+import { testAttempts, testResults, tests, transactions } from "../db/schema.js";
+import { and, eq } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { toCents } from "../utils/money.js";
+import { postMovement, SYSTEM_ACCOUNTS } from "./ledger.js";
+
+// Debit the user's wallet for a purchase and record it in the transaction history. Runs in the caller's transaction.
+async function charge(tx, { userId, amount, description, referenceType, referenceId }) {
+    try {
+        await postMovement(tx, {
+            legs: [
+                { userId, direction: "debit", amount },
+                { account: SYSTEM_ACCOUNTS.sales, direction: "credit", amount },
+            ],
+            referenceType,
+            referenceId,
+            memo: description,
+        });
+    } catch (error) {
+        if (error instanceof ServiceError && error.status === 400) {
+            throw new ServiceError(402, `Үлдэгдэл хүрэлцэхгүй байна. Төлөх дүн: ${amount}`);
+        }
+        throw error;
+    }
+
+    const insert = await tx.insert(transactions).values({
+        senderId: userId,
+        receiverId: null,
+        amount,
+        status: "completed",
+        category: "purchase",
+        description,
+        referenceType,
+        referenceId,
+    });
+    return insert[0].insertId;
+}
+
+// Charge the test price for a new attempt. Free tests are a no-op.
+export async function chargeForAttempt(tx, { userId, test, attemptId }) {
+    if (toCents(test.price || 0) <= 0) return null;
+    return charge(tx, {
+        userId,
+        amount: test.price,
+        description: `Тест: ${test.title}`.slice(0, 255),
+        referenceType: "test_attempt",
+        referenceId: attemptId,
+    });
+}
+
+// Refund the purchase of an attempt that failed on our side and mark the attempt as failed.
+// Safe to call more than once: an attempt is refunded at most once.
+export async function refundAttempt(attemptId, { reason = "Refund", adminId = null } = {}) {
+    return db.transaction(async (tx) => {
+        const attemptRows = await tx.select().from(testAttempts).where(eq(testAttempts.id, attemptId)).for("update");
+        const attempt = attemptRows[0];
+        if (!attempt) {
+            throw new ServiceError(404, "Оролдлого олдсонгүй");
+        }
+        if (attempt.status === "submitted") {
+            throw new ServiceError(409, "Дууссан оролдлогыг буцаан олгох боломжгүй");
+        }
+
+        const purchases = await tx
+            .select()
+            .from(transactions)
+            .where(and(eq(transactions.category, "purchase"), eq(transactions.referenceType, "test_attempt"), eq(transactions.referenceId, attemptId)))
+            .for("update");
+        const refunds = await tx
+            .select({ id: transactions.id })
+            .from(transactions)
+            .where(and(eq(transactions.category, "refund"), eq(transactions.referenceType, "test_attempt"), eq(transactions.referenceId, attemptId)));
+
+        await tx.update(testAttempts).set({ status: "failed" }).where(eq(testAttempts.id, attemptId));
+
+        if (purchases.length === 0 || refunds.length > 0) {
+            return { refunded: false };
+        }
+
+        const purchase = purchases[0];
+        await postMovement(tx, {
+            legs: [
+                { account: SYSTEM_ACCOUNTS.sales, direction: "debit", amount: purchase.amount },
+                { userId: purchase.senderId, direction: "credit", amount: purchase.amount },
+            ],
+            referenceType: "test_attempt",
+            referenceId: attemptId,
+            memo: reason.slice(0, 255),
+            createdBy: adminId,
+        });
+        const insert = await tx.insert(transactions).values({
+            senderId: null,
+            receiverId: purchase.senderId,
+            amount: purchase.amount,
+            status: "completed",
+            category: "refund",
+            description: reason.slice(0, 255),
+            referenceType: "test_attempt",
+            referenceId: attemptId,
+        });
+
+        return { refunded: true, amount: purchase.amount, transactionId: insert[0].insertId };
+    });
+}
+
+// Pay for the detailed answer breakdown of a result
+export async function unlockResultDetails(userId, resultId) {
+    return db.transaction(async (tx) => {
+        const rows = await tx.select().from(testResults).where(eq(testResults.id, resultId)).for("update");
+        const result = rows[0];
+        if (!result || result.userId !== userId) {
+            throw new ServiceError(404, "Тест олдсонгүй");
+        }
+        if (result.detailsUnlockedAt) {
+            return { unlocked: true, charged: false };
+        }
+
+        const testRows = result.testId ? await tx.select().from(tests).where(eq(tests.id, result.testId)) : [];
+        const test = testRows[0];
+        if (test && toCents(test.resultUnlockPrice || 0) > 0) {
+            await charge(tx, {
+                userId,
+                amount: test.resultUnlockPrice,
+                description: `Дэлгэрэнгүй үр дүн: ${test.title}`.slice(0, 255),
+                referenceType: "test_result",
+                referenceId: result.id,
+            });
+        }
+
+        await tx.update(testResults).set({ detailsUnlockedAt: new Date() }).where(eq(testResults.id, result.id));
+        return { unlocked: true, charged: Boolean(test && toCents(test.resultUnlockPrice || 0) > 0) };
+    });
+}
@@ -0,0 +1,505 @@
+import path from "path";
+import AdmZip from "adm-zip";
+import { db } from "../db/index.js";
+import { tests, questions, questionOptions, questionImages } from "../db/schema.js";
+import { and, asc, eq, inArray, isNull, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { parseCsv } from "../utils/csv.js";
+import { createRevision } from "./questionRevisions.js";
+import { MAX_IMAGE_BYTES, storeImage, imageExists } from "./images.js";
+import { getStorage, storageKey } from "./storage/index.js";
+
+// Bundle layout: bundle.json (test metadata and questions) plus images/* referenced from it
+const BUNDLE_FORMAT = "iq-test-bundle";
+const BUNDLE_VERSION = 1;
+const TEST_FIELDS = ["slug", "title", "description", "durationMinutes", "questionSelection", "questionCount", "mode", "adaptiveStopSe", "price", "resultUnlockPrice"];
+const QUESTION_TYPES = ["multiple_choice", "short_answer", "numeric", "grid"];
+const IMAGE_EXTENSIONS = [".jpeg", ".jpg", ".png", ".gif", ".svg", ".webp"];
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+/* ---------- export ---------- */
+
+function parseJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Build the bundle of a test. With withImages, local images are renamed to images/* entries and
+// returned in `images` (bundle name -> file path); otherwise their URLs are kept.
+export async function buildTestBundle(testId, { withImages = false } = {}) {
+    const testRows = await db.select().from(tests).where(eq(tests.id, testId));
+    if (testRows.length === 0) {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+    const test = testRows[0];
+
+    const questionRows = await db
+        .select()
+        .from(questions)
+        .where(and(eq(questions.testId, testId), isNull(questions.archivedAt)))
+        .orderBy(asc(questions.questionOrder), asc(questions.id));
+    const questionIds = questionRows.map((q) => q.id);
+    const optionRows = questionIds.length > 0 ? await db.select().from(questionOptions).where(inArray(questionOptions.questionId, questionIds)).orderBy(asc(questionOptions.id)) : [];
+    const imageRows = questionIds.length > 0 ? await db.select().from(questionImages).where(inArray(questionImages.questionId, questionIds)).orderBy(asc(questionImages.imageOrder)) : [];
+
+    // Stored images are copied into the bundle; external URLs and missing objects stay references
+    const images = new Map();
+    const nameByUrl = new Map();
+    if (withImages) {
+        const urls = new Set([...imageRows.map((img) => img.imageUrl), ...optionRows.map((o) => o.imageUrl)]);
+        for (const url of urls) {
+            const key = storageKey(url);
+            const data = key ? await getStorage().get(key) : null;
+            if (!data) continue;
+            const name = `images/${nameByUrl.size + 1}-${path.posix.basename(key)}`;
+            nameByUrl.set(url, name);
+            images.set(name, data);
+        }
+    }
+    const bundleImage = (url) => (url ? nameByUrl.get(url) || url : null);
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        test: Object.fromEntries(TEST_FIELDS.map((field) => [field, test[field] ?? null])),
+        questions: questionRows.map((q) => ({
+            questionText: q.questionText,
+            questionType: q.questionType,
+            correctAnswer: q.correctAnswer,
+            gridData: parseJson(q.gridData),
+            difficulty: q.difficulty,
+            questionOrder: q.questionOrder,
+            images: imageRows.filter((img) => img.questionId === q.id).map((img) => bundleImage(img.imageUrl)),
+            options: optionRows
+                .filter((o) => o.questionId === q.id)
+                .map((o) => ({ label: o.label, optionText: o.optionText, image: bundleImage(o.imageUrl), isCorrect: Boolean(o.isCorrect) })),
+        })),
+    };
+
+    return { test, bundle, images };
+}
+
+// ZIP with bundle.json and the image files
+export async function exportTestZip(testId) {
+    const { test, bundle, images } = await buildTestBundle(testId, { withImages: true });
+
+    const zip = new AdmZip();
+    zip.addFile("bundle.json", Buffer.from(JSON.stringify(bundle, null, 2), "utf8"));
+    for (const [name, data] of images) {
+        zip.addFile(name, data);
+    }
+    return { filename: `${test.slug}.zip`, buffer: zip.toBuffer() };
+}
+
+/* ---------- validation ---------- */
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim().length === 0;
+}
+
+function stringifyAnswer(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Check one question (same rules as POST /admin/questions, plus column limits).
+// Returns a list of { field, message }.
+function validateQuestion(q, { resolveImage }) {
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    if (!q || typeof q !== "object") {
+        add("question", "Асуулт объект байх ёстой");
+        return errors;
+    }
+    if (isBlank(q.questionText)) add("questionText", "Асуулт шаардлагатай");
+
+    const type = q.questionType || "multiple_choice";
+    if (!QUESTION_TYPES.includes(type)) add("questionType", `Төрөл буруу: ${type}`);
+
+    if (type === "multiple_choice") {
+        if (!Array.isArray(q.options) || q.options.length === 0) {
+            add("options", "multiple_choice төрлийн асуултад сонголтууд шаардлагатай");
+        } else {
+            const labels = new Set();
+            q.options.forEach((o, i) => {
+                if (isBlank(o?.label) || isBlank(o?.optionText)) add(`options[${i}]`, "Сонголтын label болон optionText шаардлагатай");
+                if (String(o?.label || "").length > 32) add(`options[${i}].label`, "label хэт урт");
+                if (String(o?.optionText || "").length > 500) add(`options[${i}].optionText`, "optionText хэт урт");
+                if (labels.has(o?.label)) add(`options[${i}].label`, `Давхардсан label: ${o.label}`);
+                labels.add(o?.label);
+                if (o?.image) {
+                    const problem = resolveImage(o.image);
+                    if (problem) add(`options[${i}].image`, problem);
+                }
+            });
+            if (!q.options.some((o) => o?.isCorrect)) add("options", "Зөв сонголт заагаагүй байна");
+        }
+    } else if (isBlank(stringifyAnswer(q.correctAnswer))) {
+        add("correctAnswer", "Энэхүү төрлийн асуултанд зөв хариулт заавал шаардлагатай");
+    }
+    if ((stringifyAnswer(q.correctAnswer) || "").length > 255) add("correctAnswer", "correctAnswer хэт урт");
+
+    if (q.difficulty !== undefined && q.difficulty !== null && !(Number.isInteger(q.difficulty) && q.difficulty >= 1)) {
+        add("difficulty", "difficulty нь эерэг бүхэл тоо байх ёстой");
+    }
+    if (q.questionOrder !== undefined && q.questionOrder !== null && !(Number.isInteger(q.questionOrder) && q.questionOrder >= 0)) {
+        add("questionOrder", "questionOrder нь сөрөг биш бүхэл тоо байх ёстой");
+    }
+    if (q.images !== undefined && !Array.isArray(q.images)) {
+        add("images", "images массив байх ёстой");
+    } else {
+        (q.images || []).forEach((image, i) => {
+            const problem = resolveImage(image);
+            if (problem) add(`images[${i}]`, problem);
+        });
+    }
+    return errors;
+}
+
+async function validateTestMetadata(test, slug) {
+    const errors = [];
+    const add = (field, message) => errors.push({ index: null, field: `test.${field}`, message });
+
+    if (!test || typeof test !== "object") {
+        add("test", "Тестийн мэдээлэл шаардлагатай");
+        return errors;
+    }
+    if (isBlank(test.title) || String(test.title).length > 255) add("title", "title шаардлагатай (255 тэмдэгтээс ихгүй)");
+    if (!/^[a-z0-9][a-z0-9-]{0,254}$/.test(String(slug || ""))) {
+        add("slug", "slug буруу (a-z, 0-9, -)");
+    } else {
+        const existing = await db.select({ id: tests.id }).from(tests).where(eq(tests.slug, slug));
+        if (existing.length > 0) add("slug", `"${slug}" slug-тай тест аль хэдийн байна`);
+    }
+    if (test.questionSelection && !["fixed", "random"].includes(test.questionSelection)) add("questionSelection", "questionSelection нь fixed эсвэл random байх ёстой");
+    if (test.mode && !["standard", "adaptive"].includes(test.mode)) add("mode", "mode нь standard эсвэл adaptive байх ёстой");
+    // Column limits: int for counts, decimal(10,2) for prices and decimal(4,2) for adaptiveStopSe (exported as strings)
+    for (const field of ["durationMinutes", "questionCount"]) {
+        const value = test[field];
+        if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0 && value <= 2147483647)) {
+            add(field, `${field} нь сөрөг биш бүхэл тоо байх ёстой`);
+        }
+    }
+    for (const [field, max] of [["price", 1e8], ["resultUnlockPrice", 1e8], ["adaptiveStopSe", 100]]) {
+        const value = test[field];
+        if (value === undefined || value === null) continue;
+        const number = typeof value === "number" || typeof value === "string" ? Number(value) : NaN;
+        if (isBlank(value) || !Number.isFinite(number) || number < 0 || number >= max) add(field, `${field} нь ${max}-аас бага сөрөг биш тоо байх ёстой`);
+    }
+    return errors;
+}
+
+/* ---------- import ---------- */
+
+// Open an uploaded bundle: a ZIP with bundle.json and images, or bare bundle.json
+function openBundle(buffer) {
+    const isZip = buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+    let manifest = buffer;
+    const entries = new Map();
+
+    if (isZip) {
+        let zip;
+        try {
+            zip = new AdmZip(buffer);
+        } catch (error) {
+            throw new ServiceError(400, "ZIP файл уншигдсангүй");
+        }
+        // Sizes come from the ZIP headers, so nothing is inflated before the totals are checked
+        let total = 0;
+        for (const entry of zip.getEntries()) {
+            if (entry.isDirectory) continue;
+            total += entry.header.size;
+            entries.set(entry.entryName, entry);
+        }
+        if (total > MAX_UNCOMPRESSED_BYTES) {
+            throw new ServiceError(400, "ZIP файл хэт том байна");
+        }
+        if (!entries.has("bundle.json")) {
+            throw new ServiceError(400, "bundle.json олдсонгүй");
+        }
+        manifest = entries.get("bundle.json").getData();
+    }
+
+    let bundle;
+    try {
+        bundle = JSON.parse(manifest.toString("utf8"));
+    } catch (error) {
+        throw new ServiceError(400, "bundle.json буруу JSON байна");
+    }
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.questions)) {
+        throw new ServiceError(400, "Багцын формат буруу");
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new ServiceError(400, `Багцын хувилбар ${bundle.version} дэмжигдэхгүй`);
+    }
+    return { bundle, entries };
+}
+
+// References to already stored images (/uploads/...) in the bundle that exist in storage
+async function existingStoredImages(bundle) {
+    const refs = new Set();
+    for (const q of bundle.questions) {
+        const images = [...(Array.isArray(q?.images) ? q.images : []), ...(Array.isArray(q?.options) ? q.options.map((o) => o?.image) : [])];
+        images.filter((image) => typeof image === "string" && image.startsWith("/uploads/")).forEach((image) => refs.add(image));
+    }
+    const existing = new Set();
+    for (const ref of refs) {
+        if (await imageExists(ref)) existing.add(ref);
+    }
+    return existing;
+}
+
+// Returns a problem description for an image reference, or null when it can be imported
+function imageResolver(entries, existing) {
+    return (image) => {
+        if (typeof image !== "string" || image.length === 0) return "Зургийн зам буруу";
+        if (/^https?:\/\//i.test(image)) return null;
+        if (image.startsWith("/uploads/")) {
+            return existing.has(image) ? null : `Зураг олдсонгүй: ${image}`;
+        }
+        const entry = entries.get(image);
+        if (!entry) return `Багцад зураг олдсонгүй: ${image}`;
+        if (!IMAGE_EXTENSIONS.includes(path.extname(image).toLowerCase())) return `Зөвшөөрөгдөөгүй файлын төрөл: ${image}`;
+        if (entry.header.size > MAX_IMAGE_BYTES) return `Зураг 5MB-аас их байна: ${image}`;
+        return null;
+    };
+}
+
+// Store the bundle's images under questions/ through the image pipeline.
+// Returns bundle name -> stored reference and the keys that were created (existing identical images are reused).
+async function writeBundleImages(bundle, entries) {
+    const names = new Set();
+    bundle.questions.forEach((q) => {
+        (q.images || []).forEach((image) => entries.has(image) && names.add(image));
+        (q.options || []).forEach((o) => o.image && entries.has(o.image) && names.add(o.image));
+    });
+
+    const urls = new Map();
+    const written = [];
+    try {
+        for (const name of names) {
+            // ZIP headers can lie about sizes; storeImage checks the inflated data as well
+            let image;
+            try {
+                image = await storeImage(entries.get(name).getData(), "questions");
+            } catch (error) {
+                throw error instanceof ServiceError ? new ServiceError(error.status, `${error.message}: ${name}`) : error;
+            }
+            written.push(...image.written);
+            urls.set(name, image.imageUrl);
+        }
+    } catch (error) {
+        removeObjects(written);
+        throw error;
+    }
+    return { urls, written };
+}
+
+function removeObjects(keys) {
+    for (const key of keys) {
+        getStorage()
+            .delete(key)
+            .catch(() => {});
+    }
+}
+
+async function nextQuestionOrder(executor, testId) {
+    const rows = await executor
+        .select({ maxOrder: sql`MAX(${questions.questionOrder})` })
+        .from(questions)
+        .where(eq(questions.testId, testId));
+    return rows[0].maxOrder === null ? 0 : Number(rows[0].maxOrder) + 1;
+}
+
+async function insertQuestion(tx, testId, q, imageUrl) {
+    const type = q.questionType || "multiple_choice";
+    const insert = await tx.insert(questions).values({
+        testId,
+        questionText: String(q.questionText),
+        imageUrl: null,
+        questionType: type,
+        correctAnswer: stringifyAnswer(q.correctAnswer),
+        gridData: type === "grid" && q.gridData ? JSON.stringify(q.gridData) : null,
+        difficulty: q.difficulty ?? 2,
+        questionOrder: q.questionOrder ?? 0,
+    });
+    const questionId = insert[0].insertId;
+
+    const images = q.images || [];
+    for (let i = 0; i < images.length; i++) {
+        await tx.insert(questionImages).values({ questionId, imageUrl: imageUrl(images[i]), imageOrder: i });
+    }
+    if (type === "multiple_choice") {
+        for (const o of q.options) {
+            await tx.insert(questionOptions).values({
+                questionId,
+                label: String(o.label),
+                optionText: String(o.optionText),
+                imageUrl: o.image ? imageUrl(o.image) : null,
+                isCorrect: o.isCorrect ? 1 : 0,
+            });
+        }
+    }
+    await createRevision(tx, questionId);
+    return questionId;
+}
+
+// Import a bundle as a new draft test, or append its questions to testId.
+// Everything is validated first; any error aborts the import and all errors are returned together.
+export async function importTestBundle(buffer, { testId = null, slug = null, dryRun = false } = {}) {
+    const { bundle, entries } = openBundle(buffer);
+    const resolveImage = imageResolver(entries, await existingStoredImages(bundle));
+
+    const errors = [];
+    const targetSlug = slug || bundle.test?.slug;
+    if (testId) {
+        const existing = await db.select({ id: tests.id }).from(tests).where(eq(tests.id, testId));
+        if (existing.length === 0) {
+            throw new ServiceError(404, "Тест олдсонгүй");
+        }
+    } else {
+        errors.push(...(await validateTestMetadata(bundle.test, targetSlug)));
+    }
+    bundle.questions.forEach((q, index) => {
+        validateQuestion(q, { resolveImage }).forEach((e) => errors.push({ index, ...e }));
+    });
+
+    const summary = { testId, created: !testId, questionCount: bundle.questions.length, dryRun, errors };
+    if (errors.length > 0 || dryRun) {
+        return summary;
+    }
+
+    const { urls, written } = await writeBundleImages(bundle, entries);
+    const imageUrl = (image) => urls.get(image) || image;
+
+    try {
+        summary.testId = await db.transaction(async (tx) => {
+            let targetId = testId;
+            let orderOffset = 0;
+            if (targetId) {
+                orderOffset = await nextQuestionOrder(tx, targetId);
+            } else {
+                const t = bundle.test;
+                const insert = await tx.insert(tests).values({
+                    slug: targetSlug,
+                    title: String(t.title),
+                    description: t.description || null,
+                    durationMinutes: t.durationMinutes || null,
+                    questionSelection: t.questionSelection || "fixed",
+                    questionCount: t.questionCount || null,
+                    mode: t.mode || "standard",
+                    adaptiveStopSe: t.adaptiveStopSe ? String(t.adaptiveStopSe) : null,
+                    price: t.price ? String(t.price) : "0.00",
+                    resultUnlockPrice: t.resultUnlockPrice ? String(t.resultUnlockPrice) : "0.00",
+                    // Imported tests are reviewed before they go live
+                    status: "draft",
+                    published: 0,
+                });
+                targetId = insert[0].insertId;
+            }
+
+            for (const [index, q] of bundle.questions.entries()) {
+                await insertQuestion(tx, targetId, { ...q, questionOrder: orderOffset + (q.questionOrder ?? index) }, imageUrl);
+            }
+            return targetId;
+        });
+    } catch (error) {
+        removeObjects(written);
+        throw error;
+    }
+
+    summary.imageCount = urls.size;
+    return summary;
+}
+
+// CSV columns (header names are case and punctuation insensitive):
+//   questionText, optionA..optionZ, correct (label, or several separated by ";"), difficulty, questionOrder
+const CSV_ALIASES = {
+    questiontext: "questionText",
+    question: "questionText",
+    correct: "correct",
+    correctanswer: "correct",
+    answer: "correct",
+    difficulty: "difficulty",
+    questionorder: "questionOrder",
+    order: "questionOrder",
+};
+
+function csvColumn(header) {
+    const key = String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+    const option = /^option([a-z])$/.exec(key);
+    if (option) return { option: option[1].toUpperCase() };
+    return CSV_ALIASES[key] ? { field: CSV_ALIASES[key] } : null;
+}
+
+// Import a multiple-choice question bank from CSV into a test. Errors are reported per row
+// (row 1 is the header) and nothing is written unless every row is valid.
+export async function importQuestionsCsv(testId, text, { dryRun = false } = {}) {
+    const existing = await db.select({ id: tests.id }).from(tests).where(eq(tests.id, testId));
+    if (existing.length === 0) {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new ServiceError(400, "CSV файл хоосон байна");
+    }
+    const columns = header.map(csvColumn);
+    if (!columns.some((c) => c?.field === "questionText") || !columns.some((c) => c?.field === "correct") || !columns.some((c) => c?.option)) {
+        throw new ServiceError(400, "CSV-д questionText, correct болон optionA.. баганууд шаардлагатай");
+    }
+
+    const errors = [];
+    const parsed = [];
+    const noImages = () => "CSV импортод зураг дэмжигдэхгүй";
+    rows.forEach((cells, i) => {
+        const row = i + 2;
+        if (cells.every((cell) => cell.trim().length === 0)) return;
+
+        const q = { questionType: "multiple_choice", options: [] };
+        let correct = [];
+        columns.forEach((column, c) => {
+            const value = (cells[c] || "").trim();
+            if (!column) return;
+            if (column.option) {
+                if (value) q.options.push({ label: column.option, optionText: value });
+            } else if (column.field === "correct") {
+                correct = value
+                    .split(/[;|]/)
+                    .map((label) => label.trim().toUpperCase())
+                    .filter(Boolean);
+            } else if (column.field === "difficulty" || column.field === "questionOrder") {
+                q[column.field] = value ? Number(value) : undefined;
+            } else {
+                q[column.field] = value;
+            }
+        });
+
+        correct
+            .filter((label) => !q.options.some((o) => o.label === label))
+            .forEach((label) => errors.push({ row, field: "correct", message: `"${label}" сонголт байхгүй` }));
+        q.options.forEach((o) => (o.isCorrect = correct.includes(o.label)));
+
+        validateQuestion(q, { resolveImage: noImages }).forEach((e) => errors.push({ row, ...e }));
+        parsed.push(q);
+    });
+
+    const summary = { testId, questionCount: parsed.length, dryRun, errors };
+    if (errors.length > 0 || dryRun || parsed.length === 0) {
+        return summary;
+    }
+
+    await db.transaction(async (tx) => {
+        const orderOffset = await nextQuestionOrder(tx, testId);
+        for (const [index, q] of parsed.entries()) {
+            await insertQuestion(tx, testId, { ...q, questionOrder: orderOffset + (q.questionOrder ?? index) }, (image) => image);
+        }
+    });
+    return summary;
+}
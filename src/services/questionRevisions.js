@@ -0,0 +1,203 @@
+import { db } from "../db/index.js";
+import { questions, questionOptions, questionImages, questionRevisions, userAnswers, users } from "../db/schema.js";
+import { and, asc, desc, eq, inArray, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+
+const CONTENT_FIELDS = ["questionText", "imageUrl", "questionType", "correctAnswer", "gridData", "difficulty"];
+
+function parseList(value) {
+    try {
+        const parsed = JSON.parse(value || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function serializeRevision(row) {
+    return { ...row, options: parseList(row.options), images: parseList(row.images) };
+}
+
+// Current content of a question with its options and images, in revision form
+async function snapshotQuestion(executor, questionId) {
+    const rows = await executor.select().from(questions).where(eq(questions.id, questionId));
+    if (rows.length === 0) return null;
+
+    const options = await executor.select().from(questionOptions).where(eq(questionOptions.questionId, questionId)).orderBy(asc(questionOptions.label));
+    const images = await executor.select().from(questionImages).where(eq(questionImages.questionId, questionId)).orderBy(asc(questionImages.imageOrder));
+    return {
+        question: rows[0],
+        content: {
+            ...Object.fromEntries(CONTENT_FIELDS.map((field) => [field, rows[0][field] ?? null])),
+            options: options.map((o) => ({ id: o.id, label: o.label, optionText: o.optionText, imageUrl: o.imageUrl, isCorrect: Boolean(o.isCorrect) })),
+            images: images.map((img) => ({ imageUrl: img.imageUrl, imageOrder: img.imageOrder })),
+        },
+    };
+}
+
+function sameContent(revision, content) {
+    return CONTENT_FIELDS.every((field) => (revision[field] ?? null) === content[field]) && revision.options === JSON.stringify(content.options) && revision.images === JSON.stringify(content.images);
+}
+
+// Record the current state of a question as a new revision and make it current.
+// Nothing is written when the content did not change since the current revision.
+export async function createRevision(executor, questionId, createdBy = null) {
+    const snapshot = await snapshotQuestion(executor, questionId);
+    if (!snapshot) {
+        throw new ServiceError(404, "Асуулт олдсонгүй");
+    }
+
+    const { question, content } = snapshot;
+    if (question.currentRevisionId) {
+        const current = await executor.select().from(questionRevisions).where(eq(questionRevisions.id, question.currentRevisionId));
+        if (current.length > 0 && sameContent(current[0], content)) {
+            return current[0].id;
+        }
+    }
+
+    const latest = await executor
+        .select({ revision: sql`MAX(${questionRevisions.revision})` })
+        .from(questionRevisions)
+        .where(eq(questionRevisions.questionId, questionId));
+    const insert = await executor.insert(questionRevisions).values({
+        questionId,
+        revision: Number(latest[0].revision || 0) + 1,
+        ...content,
+        options: JSON.stringify(content.options),
+        images: JSON.stringify(content.images),
+        createdBy,
+    });
+    const revisionId = insert[0].insertId;
+
+    await executor.update(questions).set({ currentRevisionId: revisionId }).where(eq(questions.id, questionId));
+    return revisionId;
+}
+
+// Delete a question. One that has revisions or answers is archived instead, because published test
+// versions and past results point at its revisions.
+export async function deleteQuestion(questionId) {
+    const rows = await db.select({ archivedAt: questions.archivedAt }).from(questions).where(eq(questions.id, questionId));
+    if (rows.length === 0 || rows[0].archivedAt) {
+        throw new ServiceError(404, "Асуулт олдсонгүй");
+    }
+
+    const revisions = await db.select({ id: questionRevisions.id }).from(questionRevisions).where(eq(questionRevisions.questionId, questionId)).limit(1);
+    const answers = await db.select({ id: userAnswers.id }).from(userAnswers).where(eq(userAnswers.questionId, questionId)).limit(1);
+    if (revisions.length === 0 && answers.length === 0) {
+        await db.delete(questions).where(eq(questions.id, questionId));
+        return { archived: false };
+    }
+
+    await db.update(questions).set({ archivedAt: new Date() }).where(eq(questions.id, questionId));
+    return { archived: true };
+}
+
+// Current revision id of each question. Questions created before revisions existed get their first one here.
+export async function ensureCurrentRevisions(questionIds, executor = db) {
+    const revisionIds = new Map();
+    if (questionIds.length === 0) return revisionIds;
+
+    const rows = await executor.select({ id: questions.id, currentRevisionId: questions.currentRevisionId }).from(questions).where(inArray(questions.id, questionIds));
+    for (const row of rows) {
+        revisionIds.set(row.id, row.currentRevisionId || (await createRevision(executor, row.id)));
+    }
+    return revisionIds;
+}
+
+// Revisions by id, with options and images parsed
+export async function loadRevisions(revisionIds, executor = db) {
+    const ids = [...new Set(revisionIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const rows = await executor.select().from(questionRevisions).where(inArray(questionRevisions.id, ids));
+    return new Map(rows.map((row) => [row.id, serializeRevision(row)]));
+}
+
+// A revision in the shape of a questions row plus its options, as the graders and scoring expect
+export function revisionAsQuestion(revision) {
+    return {
+        question: {
+            id: revision.questionId,
+            questionText: revision.questionText,
+            imageUrl: revision.imageUrl,
+            questionType: revision.questionType,
+            correctAnswer: revision.correctAnswer,
+            gridData: revision.gridData,
+            difficulty: revision.difficulty,
+        },
+        options: revision.options.map((o) => ({ ...o, questionId: revision.questionId })),
+    };
+}
+
+// Correct answer as shown in result breakdowns: the correct option label, or the stored answer
+export function revisionCorrectAnswer(revision) {
+    if (revision.questionType !== "multiple_choice") return revision.correctAnswer;
+    const correct = revision.options.find((o) => o.isCorrect);
+    return correct ? correct.label : null;
+}
+
+export async function listRevisions(questionId) {
+    const rows = await db
+        .select({ revision: questionRevisions, createdByUsername: users.username })
+        .from(questionRevisions)
+        .leftJoin(users, eq(users.id, questionRevisions.createdBy))
+        .where(eq(questionRevisions.questionId, questionId))
+        .orderBy(desc(questionRevisions.revision));
+    return rows.map(({ revision, createdByUsername }) => ({ ...serializeRevision(revision), createdByUsername }));
+}
+
+export async function getRevision(questionId, revision) {
+    const rows = await db
+        .select()
+        .from(questionRevisions)
+        .where(and(eq(questionRevisions.questionId, questionId), eq(questionRevisions.revision, revision)));
+    if (rows.length === 0) {
+        throw new ServiceError(404, `Хувилбар ${revision} олдсонгүй`);
+    }
+    return serializeRevision(rows[0]);
+}
+
+// Field-level differences between two revisions. Options are matched by label, images by position.
+export async function diffRevisions(questionId, fromRevision, toRevision) {
+    if (!toRevision) {
+        const latest = await db
+            .select({ revision: sql`MAX(${questionRevisions.revision})` })
+            .from(questionRevisions)
+            .where(eq(questionRevisions.questionId, questionId));
+        toRevision = Number(latest[0].revision || 0);
+        if (toRevision === 0) {
+            throw new ServiceError(404, "Асуултад хувилбар байхгүй байна");
+        }
+    }
+    if (!fromRevision) fromRevision = Math.max(1, toRevision - 1);
+
+    const from = await getRevision(questionId, fromRevision);
+    const to = await getRevision(questionId, toRevision);
+
+    const fields = CONTENT_FIELDS.filter((field) => (from[field] ?? null) !== (to[field] ?? null)).map((field) => ({ field, from: from[field], to: to[field] }));
+
+    const fromOptions = new Map(from.options.map((o) => [o.label, o]));
+    const toOptions = new Map(to.options.map((o) => [o.label, o]));
+    const options = {
+        added: to.options.filter((o) => !fromOptions.has(o.label)),
+        removed: from.options.filter((o) => !toOptions.has(o.label)),
+        changed: to.options
+            .filter((o) => fromOptions.has(o.label))
+            .map((o) => {
+                const before = fromOptions.get(o.label);
+                const changes = ["optionText", "imageUrl", "isCorrect"].filter((key) => before[key] !== o[key]).map((key) => ({ field: key, from: before[key], to: o[key] }));
+                return { label: o.label, changes };
+            })
+            .filter((o) => o.changes.length > 0),
+    };
+
+    const fromImages = from.images.map((img) => img.imageUrl);
+    const toImages = to.images.map((img) => img.imageUrl);
+    const images = {
+        added: toImages.filter((url) => !fromImages.includes(url)),
+        removed: fromImages.filter((url) => !toImages.includes(url)),
+        reordered: fromImages.length === toImages.length && fromImages.every((url) => toImages.includes(url)) && fromImages.some((url, i) => toImages[i] !== url),
+    };
+
+    return { questionId, from: from.revision, to: to.revision, fields, options, images };
+}
@@ -0,0 +1,27 @@
+import { createMemoryStore } from "./memory.js";
+
+// Counter stores by name. A store implements (all async, times in ms since epoch):
+//   increment(key, windowMs) -> { count, resetAt }, starting a new window when the key has none
+//   get(key) -> { count, resetAt } | null
+//   set(key, count, ttlMs)
+//   reset(key)
+// Shared deployments register a store backed by e.g. Redis and select it with RATE_LIMIT_STORE.
+const factories = new Map([["memory", createMemoryStore]]);
+let activeStore = null;
+
+export function registerRateLimitStore(name, factory) {
+    factories.set(name, factory);
+    activeStore = null;
+}
+
+export function getRateLimitStore() {
+    if (!activeStore) {
+        const name = process.env.RATE_LIMIT_STORE || "memory";
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown rate limit store: ${name}`);
+        }
+        activeStore = factory();
+    }
+    return activeStore;
+}
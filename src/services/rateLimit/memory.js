@@ -0,0 +1,52 @@
+// Default in-process store. Counters live in this process only, so every instance of a
+// multi-instance deployment counts separately; register a shared store for those.
+export function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+
+    const live = (key, now = Date.now()) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.resetAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.resetAt <= now) entries.delete(key);
+        }
+    }, sweepIntervalMs);
+    timer.unref();
+
+    return {
+        name: "memory",
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            const entry = live(key, now);
+            if (entry) {
+                entry.count++;
+                return { count: entry.count, resetAt: entry.resetAt };
+            }
+            const created = { count: 1, resetAt: now + windowMs };
+            entries.set(key, created);
+            return { ...created };
+        },
+
+        async get(key) {
+            const entry = live(key);
+            return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+        },
+
+        async set(key, count, ttlMs) {
+            entries.set(key, { count, resetAt: Date.now() + ttlMs });
+        },
+
+        async reset(key) {
+            entries.delete(key);
+        },
+    };
+}
@@ -0,0 +1,124 @@
+import { db } from "../db/index.js";
+import { roles, users } from "../db/schema.js";
+import { and, asc, eq, ne, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { ALL_PERMISSIONS, rolePermissions } from "./permissions.js";
+import { revokeAllSessions } from "./sessions.js";
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,49}$/;
+
+function serializeRole(row, userCount = 0) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        permissions: [...rolePermissions(row.name, row)],
+        isSystem: Boolean(row.isSystem),
+        userCount,
+    };
+}
+
+function validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+        throw new ServiceError(400, "permissions нь массив байх ёстой");
+    }
+    const unknown = permissions.filter((p) => !ALL_PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+        throw new ServiceError(400, `Тодорхойгүй эрх: ${unknown.join(", ")}`);
+    }
+    return [...new Set(permissions)];
+}
+
+async function getRole(name) {
+    const rows = await db.select().from(roles).where(eq(roles.name, name));
+    if (rows.length === 0) {
+        throw new ServiceError(404, "Үүрэг олдсонгүй");
+    }
+    return rows[0];
+}
+
+export async function listRoles() {
+    const rows = await db.select().from(roles).orderBy(asc(roles.name));
+    const counts = await db
+        .select({ role: users.role, count: sql`COUNT(*)` })
+        .from(users)
+        .groupBy(users.role);
+    const countByRole = new Map(counts.map((c) => [c.role, Number(c.count)]));
+    return rows.map((row) => serializeRole(row, countByRole.get(row.name) || 0));
+}
+
+export async function createRole({ name, description, permissions }) {
+    if (!ROLE_NAME.test(String(name || ""))) {
+        throw new ServiceError(400, "Үүргийн нэр буруу (a-z, 0-9, _, -)");
+    }
+    const existing = await db.select({ id: roles.id }).from(roles).where(eq(roles.name, name));
+    if (existing.length > 0) {
+        throw new ServiceError(409, "Ийм нэртэй үүрэг байна");
+    }
+
+    await db.insert(roles).values({
+        name,
+        description: description ? String(description).slice(0, 255) : null,
+        permissions: JSON.stringify(validatePermissions(permissions || [])),
+    });
+    return serializeRole(await getRole(name));
+}
+
+export async function updateRole(name, { description, permissions }) {
+    const role = await getRole(name);
+    if (role.name === "admin" && permissions !== undefined) {
+        throw new ServiceError(400, "Админ үүргийн эрхийг өөрчлөх боломжгүй");
+    }
+
+    const updates = {};
+    if (description !== undefined) updates.description = description ? String(description).slice(0, 255) : null;
+    if (permissions !== undefined) updates.permissions = JSON.stringify(validatePermissions(permissions));
+    if (Object.keys(updates).length > 0) {
+        await db.update(roles).set(updates).where(eq(roles.id, role.id));
+    }
+    return serializeRole(await getRole(name));
+}
+
+export async function deleteRole(name) {
+    const role = await getRole(name);
+    if (role.isSystem) {
+        throw new ServiceError(400, "Системийн үүргийг устгах боломжгүй");
+    }
+    const assigned = await db.select({ count: sql`COUNT(*)` }).from(users).where(eq(users.role, name));
+    if (Number(assigned[0].count) > 0) {
+        throw new ServiceError(409, "Хэрэглэгчтэй холбоотой үүргийг устгах боломжгүй");
+    }
+    await db.delete(roles).where(eq(roles.id, role.id));
+}
+
+// Give a user a different role. Their sessions are revoked so tokens carrying the old role stop working.
+export async function assignRole(userId, roleName) {
+    await getRole(roleName);
+
+    const changed = await db.transaction(async (tx) => {
+        const rows = await tx.select({ role: users.role }).from(users).where(eq(users.id, userId)).for("update");
+        if (rows.length === 0) {
+            throw new ServiceError(404, "Хэрэглэгч олдсонгүй");
+        }
+        if (rows[0].role === roleName) return false;
+
+        // Never leave the system without an admin
+        if (rows[0].role === "admin") {
+            const otherAdmins = await tx
+                .select({ count: sql`COUNT(*)` })
+                .from(users)
+                .where(and(eq(users.role, "admin"), ne(users.id, userId)));
+            if (Number(otherAdmins[0].count) === 0) {
+                throw new ServiceError(400, "Сүүлчийн админы эрхийг хасах боломжгүй");
+            }
+        }
+
+        await tx.update(users).set({ role: roleName }).where(eq(users.id, userId));
+        return true;
+    });
+
+    if (changed) {
+        await revokeAllSessions(userId);
+    }
+    return { userId, role: roleName, permissions: [...rolePermissions(roleName, await getRole(roleName))] };
+}
@@ -0,0 +1,135 @@
+import { db } from "../db/index.js";
+import { normTables } from "../db/schema.js";
+import { and, eq, desc } from "drizzle-orm";
+
+const IQ_MEAN = 100;
+const IQ_SD = 15;
+const IQ_MIN = 40;
+const IQ_MAX = 160;
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+export function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse of the standard normal cumulative distribution (Acklam's approximation)
+export function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function clampIq(iq) {
+    return Math.min(IQ_MAX, Math.max(IQ_MIN, Math.round(iq)));
+}
+
+function iqToPercentile(iq) {
+    return Math.round(normalCdf((iq - IQ_MEAN) / IQ_SD) * 10000) / 100;
+}
+
+// Calculate IQ score (simplified formula)
+// Base IQ is 100, each correct answer adds/subtracts from this
+export function estimateIqScore(correctCount, totalQuestions) {
+    const percentage = totalQuestions > 0 ? (correctCount / totalQuestions) * 100 : 0;
+    if (percentage >= 90) return 130 + Math.floor((percentage - 90) * 2);
+    if (percentage >= 75) return 115 + Math.floor((percentage - 75) * 1);
+    if (percentage >= 50) return 100 + Math.floor((percentage - 50) * 0.6);
+    if (percentage >= 25) return 85 + Math.floor((percentage - 25) * 0.6);
+    return 70 + Math.floor(percentage * 0.6);
+}
+
+// Weight of a question in the weighted score
+export function questionWeight(question) {
+    return question.difficulty > 0 ? question.difficulty : 1;
+}
+
+// Weighted percentage (0-100), the statistic norm tables are expressed in
+export function weightedPercentage(weightedScore, weightedMax) {
+    return weightedMax > 0 ? (weightedScore / weightedMax) * 100 : 0;
+}
+
+export function parseNormPoints(normTable) {
+    try {
+        const points = JSON.parse(normTable.points);
+        return Array.isArray(points) ? [...points].sort((a, b) => a.score - b.score) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Convert a weighted percentage to an IQ score with the given norm table
+export function applyNormTable(normTable, percentage) {
+    if (normTable.method === "zscore") {
+        const z = (percentage - parseFloat(normTable.mean)) / parseFloat(normTable.sd);
+        return IQ_MEAN + IQ_SD * z;
+    }
+
+    const points = parseNormPoints(normTable);
+    if (points.length === 0) return IQ_MEAN;
+    if (percentage <= points[0].score) return points[0].iq;
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const next = points[i];
+        if (percentage <= next.score) {
+            const span = next.score - prev.score;
+            return span === 0 ? next.iq : prev.iq + ((percentage - prev.score) / span) * (next.iq - prev.iq);
+        }
+    }
+    return points[points.length - 1].iq;
+}
+
+export async function getActiveNormTable(testId) {
+    if (!testId) return null;
+    const rows = await db
+        .select()
+        .from(normTables)
+        .where(and(eq(normTables.testId, testId), eq(normTables.active, true)))
+        .orderBy(desc(normTables.version))
+        .limit(1);
+    return rows[0] || null;
+}
+
+// Score a finished attempt against the test's active norm table, falling back to the default formula.
+// Both work on the difficulty-weighted score.
+export async function scoreResult(testId, { weightedScore, weightedMax }) {
+    const normTable = await getActiveNormTable(testId);
+    const percentage = weightedPercentage(weightedScore, weightedMax);
+
+    const iqScore = normTable ? clampIq(applyNormTable(normTable, percentage)) : estimateIqScore(weightedScore, weightedMax);
+
+    return {
+        iqScore,
+        percentile: iqToPercentile(iqScore),
+        normTableId: normTable ? normTable.id : null,
+        normVersion: normTable ? normTable.version : null,
+    };
+}
+
+// Score an adaptive attempt from its IRT ability estimate (theta on the standard normal scale)
+export function scoreAbility(theta) {
+    const iqScore = clampIq(IQ_MEAN + IQ_SD * theta);
+    return {
+        iqScore,
+        percentile: iqToPercentile(iqScore),
+        normTableId: null,
+        normVersion: null,
+    };
+}
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { db } from "../db/index.js";
+import { refreshTokens, users } from "../db/schema.js";
+import { and, eq, isNull, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function signAccessToken(user, claims = {}) {
+    return jwt.sign({ id: user.id, username: user.username, email: user.email, role: user.role, tv: user.tokenVersion || 0, ...claims }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function insertRefreshToken(executor, userId, familyId, meta, mfa) {
+    const token = crypto.randomBytes(48).toString("base64url");
+    const insert = await executor.insert(refreshTokens).values({
+        userId,
+        familyId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: meta.userAgent ? String(meta.userAgent).slice(0, 255) : null,
+        ip: meta.ip ? String(meta.ip).slice(0, 64) : null,
+        mfa: Boolean(mfa),
+    });
+    return { token, id: insert[0].insertId };
+}
+
+// Start a new session: short-lived access token plus a refresh token in a new family
+export async function issueSession(user, meta = {}, claims = {}) {
+    const { token: refreshToken } = await insertRefreshToken(db, user.id, crypto.randomUUID(), meta, claims.mfa);
+    return { token: signAccessToken(user, claims), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+async function revokeFamily(executor, familyId) {
+    await executor
+        .update(refreshTokens)
+        .set({ revokedAt: new Date() })
+        .where(and(eq(refreshTokens.familyId, familyId), isNull(refreshTokens.revokedAt)));
+}
+
+// Exchange a refresh token for a new access/refresh pair. A token that was already used
+// means it leaked: the whole family is revoked and the caller has to log in again.
+export async function rotateRefreshToken(refreshToken, meta = {}) {
+    if (!refreshToken || typeof refreshToken !== "string") {
+        throw new ServiceError(401, "Буруу эсвэл хүчингүй token");
+    }
+
+    const outcome = await db.transaction(async (tx) => {
+        const rows = await tx.select().from(refreshTokens).where(eq(refreshTokens.tokenHash, hashToken(refreshToken))).for("update");
+        const current = rows[0];
+        if (!current) {
+            return { error: "invalid" };
+        }
+        if (current.revokedAt || current.replacedById) {
+            await revokeFamily(tx, current.familyId);
+            return { error: "reused", userId: current.userId };
+        }
+        if (new Date(current.expiresAt).getTime() < Date.now()) {
+            return { error: "invalid" };
+        }
+
+        const userRows = await tx.select().from(users).where(eq(users.id, current.userId));
+        if (userRows.length === 0) {
+            return { error: "invalid" };
+        }
+
+        const next = await insertRefreshToken(tx, current.userId, current.familyId, meta, current.mfa);
+        await tx.update(refreshTokens).set({ revokedAt: new Date(), replacedById: next.id }).where(eq(refreshTokens.id, current.id));
+
+        return { user: userRows[0], refreshToken: next.token, mfa: Boolean(current.mfa) };
+    });
+
+    if (outcome.error === "reused") {
+        console.warn(`Refresh token reuse detected for user ${outcome.userId}, session family revoked`);
+    }
+    if (outcome.error) {
+        throw new ServiceError(401, "Буруу эсвэл хүчингүй token");
+    }
+
+    const claims = outcome.mfa ? { mfa: true } : {};
+    return { token: signAccessToken(outcome.user, claims), refreshToken: outcome.refreshToken, expiresIn: ACCESS_TOKEN_TTL, user: outcome.user };
+}
+
+// Logout: revoke the session the refresh token belongs to
+export async function revokeRefreshToken(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== "string") return;
+    const rows = await db.select({ familyId: refreshTokens.familyId }).from(refreshTokens).where(eq(refreshTokens.tokenHash, hashToken(refreshToken)));
+    if (rows.length > 0) {
+        await revokeFamily(db, rows[0].familyId);
+    }
+}
+
+// Revoke every session of a user and invalidate access tokens already handed out
+export async function revokeAllSessions(userId) {
+    await db
+        .update(refreshTokens)
+        .set({ revokedAt: new Date() })
+        .where(and(eq(refreshTokens.userId, userId), isNull(refreshTokens.revokedAt)));
+    await db
+        .update(users)
+        .set({ tokenVersion: sql`${users.tokenVersion} + 1` })
+        .where(eq(users.id, userId));
+}
@@ -0,0 +1,52 @@
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+// Media storage drivers by name. Keys are relative paths such as "questions/<file>". A driver implements:
+//   put(key, data, { contentType, contentDisposition }), get(key) -> Buffer | null, stat(key) -> { size, modifiedAt } | null,
+//   exists(key), move(fromKey, toKey), delete(key), touch(key) (refresh modifiedAt),
+//   list(prefix) -> [{ key, size, modifiedAt }] for a folder prefix such as "tmp/",
+//   url(key, { expiresIn }) -> URL a browser can load (signed when the driver requires it)
+// and sets localRoot to the directory to serve statically, or null.
+const factories = new Map([
+    ["local", createLocalStorage],
+    ["s3", createS3Storage],
+]);
+let activeStorage = null;
+
+export function registerStorageDriver(name, factory) {
+    factories.set(name, factory);
+    activeStorage = null;
+}
+
+export function getStorage() {
+    if (!activeStorage) {
+        const name = process.env.STORAGE_DRIVER || "local";
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        activeStorage = factory();
+    }
+    return activeStorage;
+}
+
+// The database keeps media references in the form /uploads/<key>, whatever the driver.
+const REF_PREFIX = "/uploads/";
+
+// Storage key of a stored reference, or null for external URLs and anything that is not a valid key
+export function storageKey(imageUrl) {
+    if (typeof imageUrl !== "string" || !imageUrl.startsWith(REF_PREFIX)) return null;
+    const key = imageUrl.slice(REF_PREFIX.length);
+    const segments = key.split("/");
+    return key.length > 0 && segments.every((s) => s.length > 0 && s !== "." && s !== "..") ? key : null;
+}
+
+export function storageRef(key) {
+    return `${REF_PREFIX}${key}`;
+}
+
+// URL to hand to clients for a stored reference. External URLs are returned as they are.
+export function resolveMediaUrl(imageUrl) {
+    const key = storageKey(imageUrl);
+    return key ? getStorage().url(key) : imageUrl;
+}
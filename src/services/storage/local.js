@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import { UPLOADS_ROOT } from "../../utils/uploads.js";
+
+// Files on local disk, served by express.static under publicPath. Only works for a single instance
+// (or instances sharing the directory).
+export function createLocalStorage({ root = UPLOADS_ROOT, publicPath = "/uploads" } = {}) {
+    const fullPath = (key) => {
+        const resolved = path.join(root, key);
+        if (!resolved.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return resolved;
+    };
+
+    const stat = async (key) => {
+        const info = await fs.promises.stat(fullPath(key)).catch(() => null);
+        return info && info.isFile() ? { size: info.size, modifiedAt: info.mtime } : null;
+    };
+
+    return {
+        name: "local",
+        // Directory index.js serves statically
+        localRoot: root,
+
+        async put(key, data) {
+            const target = fullPath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.writeFile(target, data);
+        },
+
+        async get(key) {
+            return fs.promises.readFile(fullPath(key)).catch((error) => {
+                if (error.code === "ENOENT") return null;
+                throw error;
+            });
+        },
+
+        stat,
+
+        async exists(key) {
+            return (await stat(key)) !== null;
+        },
+
+        async move(fromKey, toKey) {
+            const target = fullPath(toKey);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.rename(fullPath(fromKey), target);
+        },
+
+        async delete(key) {
+            await fs.promises.rm(fullPath(key), { force: true });
+        },
+
+        async touch(key) {
+            const now = new Date();
+            await fs.promises.utimes(fullPath(key), now, now);
+        },
+
+        async list(prefix) {
+            const dir = fullPath(prefix);
+            const names = await fs.promises.readdir(dir).catch(() => []);
+            const items = [];
+            for (const name of names) {
+                const key = `${prefix}${name}`;
+                const info = await stat(key);
+                if (info) items.push({ key, ...info });
+            }
+            return items;
+        },
+
+        url(key) {
+            return `${publicPath}/${key.split("/").map(encodeURIComponent).join("/")}`;
+        },
+    };
+}
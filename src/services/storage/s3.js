@@ -0,0 +1,224 @@
+import crypto from "crypto";
+
+// S3-compatible object storage (AWS S3, MinIO, R2, ...) over its REST API with Signature V4.
+// Configured from the environment:
+//   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY  required
+//   S3_REGION            default us-east-1
+//   S3_ENDPOINT          e.g. http://localhost:9000 for MinIO; defaults to AWS
+//   S3_FORCE_PATH_STYLE  "true" for endpoint/bucket/key URLs (default when S3_ENDPOINT is set)
+//   S3_PREFIX            optional key prefix inside the bucket
+//   S3_PUBLIC_URL        public base URL of the bucket (CDN); without it url() returns signed URLs
+//   S3_SIGNED_URL_TTL    lifetime of signed URLs in seconds, default 3600
+
+const EMPTY_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+function sha256Hex(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+    return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodePath(key) {
+    return key.split("/").map(encodeRfc3986).join("/");
+}
+
+function amzDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+function decodeXml(value) {
+    return value.replace(/&(lt|gt|amp|quot|apos);/g, (m, name) => ({ lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" })[name]);
+}
+
+function xmlValues(xml, tag) {
+    return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map((m) => decodeXml(m[1]));
+}
+
+export function createS3Storage(options = {}) {
+    const config = {
+        bucket: options.bucket || process.env.S3_BUCKET,
+        region: options.region || process.env.S3_REGION || "us-east-1",
+        endpoint: (options.endpoint || process.env.S3_ENDPOINT || "").replace(/\/+$/, ""),
+        accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+        prefix: (options.prefix ?? process.env.S3_PREFIX ?? "").replace(/^\/+|\/+$/g, ""),
+        publicUrl: (options.publicUrl || process.env.S3_PUBLIC_URL || "").replace(/\/+$/, ""),
+        signedUrlTtl: options.signedUrlTtl || parseInt(process.env.S3_SIGNED_URL_TTL) || 3600,
+    };
+    config.forcePathStyle = options.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : Boolean(config.endpoint));
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error("S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+
+    const objectKey = (key) => (config.prefix ? `${config.prefix}/${key}` : key);
+
+    // Host and path of an object (or of the bucket when key is empty)
+    const target = (key) => {
+        const base = new URL(config.endpoint || `https://s3.${config.region}.amazonaws.com`);
+        if (config.forcePathStyle) {
+            return { origin: base.origin, host: base.host, path: `/${config.bucket}/${encodePath(key)}` };
+        }
+        const host = `${config.bucket}.${base.host}`;
+        return { origin: `${base.protocol}//${host}`, host, path: `/${encodePath(key)}` };
+    };
+
+    const signingKey = (date) => {
+        const kDate = hmac(`AWS4${config.secretAccessKey}`, date);
+        return hmac(hmac(hmac(kDate, config.region), "s3"), "aws4_request");
+    };
+
+    const canonicalQuery = (query) =>
+        Object.keys(query)
+            .sort()
+            .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+            .join("&");
+
+    const signature = (now, canonicalRequest) => {
+        const date = now.slice(0, 8);
+        const scope = `${date}/${config.region}/s3/aws4_request`;
+        const stringToSign = ["AWS4-HMAC-SHA256", now, scope, sha256Hex(canonicalRequest)].join("\n");
+        return { scope, value: crypto.createHmac("sha256", signingKey(date)).update(stringToSign).digest("hex") };
+    };
+
+    // Signed request with the signature in the Authorization header
+    const request = async (method, key, { query = {}, headers = {}, body = null } = {}) => {
+        const { origin, host, path } = target(key);
+        const now = amzDate(new Date());
+        const payloadHash = body ? sha256Hex(body) : EMPTY_HASH;
+        const allHeaders = { ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])), host, "x-amz-date": now, "x-amz-content-sha256": payloadHash };
+        const names = Object.keys(allHeaders).sort();
+        const canonicalRequest = [method, path, canonicalQuery(query), names.map((n) => `${n}:${allHeaders[n]}\n`).join(""), names.join(";"), payloadHash].join("\n");
+        const { scope, value } = signature(now, canonicalRequest);
+
+        // fetch sets Host itself
+        const sendHeaders = { ...allHeaders };
+        delete sendHeaders.host;
+        sendHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${value}`;
+        const qs = canonicalQuery(query);
+        return fetch(`${origin}${path}${qs ? `?${qs}` : ""}`, { method, headers: sendHeaders, body: body || undefined });
+    };
+
+    const fail = async (response, action) => {
+        const text = await response.text().catch(() => "");
+        const code = xmlValues(text, "Code")[0];
+        throw new Error(`S3 ${action} failed: ${response.status}${code ? ` ${code}` : ""}`);
+    };
+
+    const stat = async (key) => {
+        const response = await request("HEAD", objectKey(key));
+        if (response.status === 404) return null;
+        if (!response.ok) await fail(response, "HEAD");
+        return {
+            size: parseInt(response.headers.get("content-length")) || 0,
+            modifiedAt: new Date(response.headers.get("last-modified")),
+            contentType: response.headers.get("content-type"),
+            contentDisposition: response.headers.get("content-disposition"),
+        };
+    };
+
+    // Server-side copy. S3 can answer 200 with an error document, so the body is checked too.
+    const copy = async (fromKey, toKey, headers = {}) => {
+        const response = await request("PUT", objectKey(toKey), { headers: { "x-amz-copy-source": `/${config.bucket}/${encodePath(objectKey(fromKey))}`, ...headers } });
+        const text = await response.text();
+        if (!response.ok || text.includes("<Error>")) {
+            throw new Error(`S3 COPY failed: ${response.status} ${xmlValues(text, "Code")[0] || ""}`.trim());
+        }
+    };
+
+    return {
+        name: "s3",
+        localRoot: null,
+
+        async put(key, data, { contentType, contentDisposition } = {}) {
+            const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            const headers = {};
+            if (contentType) headers["content-type"] = contentType;
+            if (contentDisposition) headers["content-disposition"] = contentDisposition;
+            const response = await request("PUT", objectKey(key), { body, headers });
+            if (!response.ok) await fail(response, "PUT");
+        },
+
+        async get(key) {
+            const response = await request("GET", objectKey(key));
+            if (response.status === 404) return null;
+            if (!response.ok) await fail(response, "GET");
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        stat,
+
+        async exists(key) {
+            return (await stat(key)) !== null;
+        },
+
+        async move(fromKey, toKey) {
+            await copy(fromKey, toKey);
+            await this.delete(fromKey);
+        },
+
+        async delete(key) {
+            const response = await request("DELETE", objectKey(key));
+            if (!response.ok && response.status !== 404) await fail(response, "DELETE");
+        },
+
+        // Refresh LastModified by copying the object onto itself. REPLACE drops the stored headers, so
+        // they are sent again.
+        async touch(key) {
+            const info = await stat(key);
+            if (!info) return;
+            await copy(key, key, {
+                "x-amz-metadata-directive": "REPLACE",
+                ...(info.contentType ? { "content-type": info.contentType } : {}),
+                ...(info.contentDisposition ? { "content-disposition": info.contentDisposition } : {}),
+            });
+        },
+
+        async list(prefix) {
+            const items = [];
+            const strip = config.prefix ? config.prefix.length + 1 : 0;
+            let token = null;
+            do {
+                const query = { "list-type": "2", prefix: objectKey(prefix) };
+                if (token) query["continuation-token"] = token;
+                const response = await request("GET", "", { query });
+                if (!response.ok) await fail(response, "LIST");
+                const xml = await response.text();
+                for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    items.push({
+                        key: xmlValues(contents, "Key")[0].slice(strip),
+                        size: parseInt(xmlValues(contents, "Size")[0]) || 0,
+                        modifiedAt: new Date(xmlValues(contents, "LastModified")[0]),
+                    });
+                }
+                token = xmlValues(xml, "IsTruncated")[0] === "true" ? xmlValues(xml, "NextContinuationToken")[0] : null;
+            } while (token);
+            return items;
+        },
+
+        // Public URL when the bucket sits behind a public base URL, otherwise a presigned GET
+        url(key, { expiresIn = config.signedUrlTtl } = {}) {
+            if (config.publicUrl) {
+                return `${config.publicUrl}/${encodePath(objectKey(key))}`;
+            }
+            const { origin, host, path } = target(objectKey(key));
+            const now = amzDate(new Date());
+            const query = {
+                "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+                "X-Amz-Credential": `${config.accessKeyId}/${now.slice(0, 8)}/${config.region}/s3/aws4_request`,
+                "X-Amz-Date": now,
+                "X-Amz-Expires": String(expiresIn),
+                "X-Amz-SignedHeaders": "host",
+            };
+            const canonicalRequest = ["GET", path, canonicalQuery(query), `host:${host}\n`, "host", "UNSIGNED-PAYLOAD"].join("\n");
+            const { value } = signature(now, canonicalRequest);
+            return `${origin}${path}?${canonicalQuery(query)}&X-Amz-Signature=${value}`;
+        },
+    };
+}
@@ -0,0 +1,181 @@
+import { db } from "../db/index.js";
+import { tests, questions, questionOptions, questionImages, testVersions, testTransitions, users } from "../db/schema.js";
+import { and, asc, desc, eq, inArray, isNull, sql } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { ensureCurrentRevisions } from "./questionRevisions.js";
+import { imageExists } from "./images.js";
+
+export const TEST_STATUSES = ["draft", "in_review", "published", "archived"];
+
+// Allowed moves between statuses. published -> published publishes a new version of a live test.
+const TRANSITIONS = {
+    draft: ["in_review", "archived"],
+    in_review: ["draft", "published", "archived"],
+    published: ["published", "draft", "archived"],
+    archived: ["draft"],
+};
+
+async function imageMissing(url) {
+    if (!url) return true;
+    // Temp uploads are cleaned up after an hour
+    if (url.startsWith("/uploads/tmp/")) return true;
+    return !(await imageExists(url));
+}
+
+// Problems that block publishing. Issues about a single question carry its id.
+export async function validateTestForPublish(testId, executor = db) {
+    const testRows = await executor.select().from(tests).where(eq(tests.id, testId));
+    if (testRows.length === 0) {
+        throw new ServiceError(404, "Тест олдсонгүй");
+    }
+
+    const testQuestions = await executor
+        .select()
+        .from(questions)
+        .where(and(eq(questions.testId, testId), isNull(questions.archivedAt)))
+        .orderBy(asc(questions.questionOrder), asc(questions.id));
+    if (testQuestions.length === 0) {
+        return [{ questionId: null, message: "Тестэд асуулт байхгүй байна" }];
+    }
+
+    const ids = testQuestions.map((q) => q.id);
+    const options = await executor.select().from(questionOptions).where(inArray(questionOptions.questionId, ids));
+    const images = await executor.select().from(questionImages).where(inArray(questionImages.questionId, ids));
+
+    const issues = [];
+    for (const q of testQuestions) {
+        const qOptions = options.filter((o) => o.questionId === q.id);
+        if (q.questionType === "multiple_choice") {
+            if (qOptions.length < 2) {
+                issues.push({ questionId: q.id, message: "Хамгийн багадаа 2 сонголт шаардлагатай" });
+            }
+            const correctCount = qOptions.filter((o) => o.isCorrect).length;
+            if (correctCount !== 1) {
+                issues.push({ questionId: q.id, message: `Яг нэг зөв сонголт байх ёстой (одоо ${correctCount})` });
+            }
+        } else if (!q.correctAnswer || String(q.correctAnswer).trim().length === 0) {
+            issues.push({ questionId: q.id, message: "Зөв хариулт байхгүй байна" });
+        }
+
+        const urls = [q.imageUrl, ...images.filter((img) => img.questionId === q.id).map((img) => img.imageUrl), ...qOptions.map((o) => o.imageUrl)].filter((url) => url !== null);
+        for (const url of urls) {
+            if (await imageMissing(url)) {
+                issues.push({ questionId: q.id, message: `Зураг олдсонгүй: ${url}` });
+            }
+        }
+    }
+
+    const test = testRows[0];
+    if (test.mode !== "adaptive" && test.questionSelection === "random" && test.questionCount > testQuestions.length) {
+        issues.push({ questionId: null, message: `questionCount (${test.questionCount}) асуултын тооноос их байна` });
+    }
+    return issues;
+}
+
+// Freeze the current revision of every question as the next version of the test
+async function createTestVersion(tx, testId, publishedBy) {
+    const rows = await tx
+        .select({ id: questions.id })
+        .from(questions)
+        .where(and(eq(questions.testId, testId), isNull(questions.archivedAt)))
+        .orderBy(asc(questions.questionOrder), asc(questions.id));
+    const revisions = await ensureCurrentRevisions(rows.map((q) => q.id), tx);
+
+    const latest = await tx
+        .select({ version: sql`MAX(${testVersions.version})` })
+        .from(testVersions)
+        .where(eq(testVersions.testId, testId));
+    const version = Number(latest[0].version || 0) + 1;
+    const insert = await tx.insert(testVersions).values({
+        testId,
+        version,
+        questions: JSON.stringify(rows.map((q) => ({ questionId: q.id, revisionId: revisions.get(q.id) }))),
+        publishedBy,
+    });
+    return { id: insert[0].insertId, version };
+}
+
+// Move a test to another status. Publishing validates the test first and returns the issues
+// instead of publishing when there are any. Every transition is recorded.
+export async function transitionTest(testId, toStatus, { actorId = null, note = null } = {}) {
+    if (!TEST_STATUSES.includes(toStatus)) {
+        throw new ServiceError(400, `Төлөв нь ${TEST_STATUSES.join(", ")} байх ёстой`);
+    }
+
+    return db.transaction(async (tx) => {
+        const rows = await tx.select().from(tests).where(eq(tests.id, testId)).for("update");
+        const test = rows[0];
+        if (!test) {
+            throw new ServiceError(404, "Тест олдсонгүй");
+        }
+        if (!TRANSITIONS[test.status].includes(toStatus)) {
+            throw new ServiceError(409, `"${test.status}" төлөвөөс "${toStatus}" руу шилжих боломжгүй`);
+        }
+
+        let version = null;
+        if (toStatus === "published") {
+            const issues = await validateTestForPublish(testId, tx);
+            if (issues.length > 0) {
+                return { issues };
+            }
+            version = await createTestVersion(tx, testId, actorId);
+        }
+
+        const updates = { status: toStatus, published: toStatus === "published" ? 1 : 0 };
+        if (version) updates.publishedVersionId = version.id;
+        await tx.update(tests).set(updates).where(eq(tests.id, testId));
+
+        const insert = await tx.insert(testTransitions).values({
+            testId,
+            fromStatus: test.status,
+            toStatus,
+            testVersionId: version ? version.id : null,
+            note: note ? String(note).slice(0, 500) : null,
+            actorId,
+        });
+
+        return {
+            issues: [],
+            transition: { id: insert[0].insertId, testId, from: test.status, to: toStatus, version: version ? version.version : null },
+        };
+    });
+}
+
+export async function listTestTransitions(testId) {
+    return db
+        .select({
+            id: testTransitions.id,
+            fromStatus: testTransitions.fromStatus,
+            toStatus: testTransitions.toStatus,
+            version: testVersions.version,
+            note: testTransitions.note,
+            actorId: testTransitions.actorId,
+            actorUsername: users.username,
+            createdAt: testTransitions.createdAt,
+        })
+        .from(testTransitions)
+        .leftJoin(testVersions, eq(testVersions.id, testTransitions.testVersionId))
+        .leftJoin(users, eq(users.id, testTransitions.actorId))
+        .where(eq(testTransitions.testId, testId))
+        .orderBy(desc(testTransitions.id));
+}
+
+// Question ids of a version mapped to the revision they are served at, in serving order
+export async function getTestVersionQuestions(testVersionId, executor = db) {
+    const rows = await executor.select().from(testVersions).where(eq(testVersions.id, testVersionId));
+    if (rows.length === 0) return null;
+    try {
+        const parsed = JSON.parse(rows[0].questions);
+        return new Map(parsed.map((q) => [q.questionId, q.revisionId]));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Tests published before the lifecycle existed only have the published flag set
+export async function syncLegacyTestStatuses() {
+    await db
+        .update(tests)
+        .set({ status: "published" })
+        .where(and(eq(tests.published, true), eq(tests.status, "draft")));
+}
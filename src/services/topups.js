@@ -0,0 +1,131 @@
+import { db } from "../db/index.js";
+import { paymentInvoices, transactions } from "../db/schema.js";
+import { and, desc, eq } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { toCents, fromCents } from "../utils/money.js";
+import { postMovement, SYSTEM_ACCOUNTS } from "./ledger.js";
+import { getPaymentProvider } from "./payments/index.js";
+
+const FINAL_STATUSES = ["paid", "failed", "expired"];
+
+function serializeInvoice(invoice) {
+    return {
+        id: invoice.id,
+        provider: invoice.provider,
+        amount: invoice.amount,
+        status: invoice.status,
+        paymentUrl: invoice.status === "pending" ? invoice.paymentUrl : null,
+        paidAt: invoice.paidAt,
+        createdAt: invoice.createdAt,
+    };
+}
+
+// Create an invoice with the provider. The balance is credited later, when the payment is confirmed.
+export async function createTopUp(userId, amount) {
+    const provider = getPaymentProvider();
+    const normalizedAmount = fromCents(toCents(amount));
+
+    const insert = await db.insert(paymentInvoices).values({ userId, provider: provider.name, amount: normalizedAmount, status: "pending" });
+    const invoiceId = insert[0].insertId;
+
+    let created;
+    try {
+        created = await provider.createInvoice({ invoiceId, amount: normalizedAmount, description: `Balance top-up #${invoiceId}` });
+    } catch (error) {
+        await db.update(paymentInvoices).set({ status: "failed" }).where(eq(paymentInvoices.id, invoiceId));
+        throw error;
+    }
+
+    await db
+        .update(paymentInvoices)
+        .set({ providerInvoiceId: created.providerInvoiceId, paymentUrl: created.paymentUrl })
+        .where(eq(paymentInvoices.id, invoiceId));
+
+    const rows = await db.select().from(paymentInvoices).where(eq(paymentInvoices.id, invoiceId));
+    return serializeInvoice(rows[0]);
+}
+
+// Apply a status reported by the provider. Paying credits the wallet exactly once,
+// however many times the same callback arrives.
+async function applyProviderStatus(invoiceId, { status, amount }) {
+    return db.transaction(async (tx) => {
+        const rows = await tx.select().from(paymentInvoices).where(eq(paymentInvoices.id, invoiceId)).for("update");
+        const invoice = rows[0];
+        if (!invoice || FINAL_STATUSES.includes(invoice.status) || status === "pending") {
+            return invoice;
+        }
+
+        if (status !== "paid") {
+            await tx.update(paymentInvoices).set({ status: FINAL_STATUSES.includes(status) ? status : "failed" }).where(eq(paymentInvoices.id, invoice.id));
+            return { ...invoice, status };
+        }
+
+        if (typeof amount !== "undefined" && amount !== null && toCents(amount) !== toCents(invoice.amount)) {
+            throw new ServiceError(400, "Төлсөн дүн нэхэмжлэхтэй таарахгүй байна");
+        }
+
+        await postMovement(tx, {
+            legs: [
+                { account: SYSTEM_ACCOUNTS.topup, direction: "debit", amount: invoice.amount },
+                { userId: invoice.userId, direction: "credit", amount: invoice.amount },
+            ],
+            referenceType: "payment_invoice",
+            referenceId: invoice.id,
+            memo: `Top-up via ${invoice.provider}`,
+        });
+        const insert = await tx.insert(transactions).values({
+            senderId: null,
+            receiverId: invoice.userId,
+            amount: invoice.amount,
+            status: "completed",
+            category: "topup",
+            description: `Цэнэглэлт (${invoice.provider})`,
+            referenceType: "payment_invoice",
+            referenceId: invoice.id,
+        });
+
+        const paidAt = new Date();
+        await tx
+            .update(paymentInvoices)
+            .set({ status: "paid", paidAt, transactionId: insert[0].insertId })
+            .where(eq(paymentInvoices.id, invoice.id));
+        return { ...invoice, status: "paid", paidAt };
+    });
+}
+
+// Handle a provider callback. The provider verifies the signature before anything is touched.
+export async function handlePaymentWebhook(providerName, { headers, rawBody }) {
+    const provider = getPaymentProvider(providerName);
+    const event = await provider.parseWebhook({ headers, rawBody: rawBody || Buffer.alloc(0) });
+
+    const rows = await db
+        .select({ id: paymentInvoices.id })
+        .from(paymentInvoices)
+        .where(and(eq(paymentInvoices.provider, provider.name), eq(paymentInvoices.providerInvoiceId, String(event.providerInvoiceId))));
+    if (rows.length === 0) {
+        throw new ServiceError(404, "Нэхэмжлэх олдсонгүй");
+    }
+
+    const invoice = await applyProviderStatus(rows[0].id, event);
+    return serializeInvoice(invoice);
+}
+
+// Get one of the user's top-ups, asking the provider for news while it is still pending
+export async function getTopUp(userId, invoiceId) {
+    const rows = await db.select().from(paymentInvoices).where(eq(paymentInvoices.id, invoiceId));
+    let invoice = rows[0];
+    if (!invoice || invoice.userId !== userId) {
+        throw new ServiceError(404, "Нэхэмжлэх олдсонгүй");
+    }
+
+    if (invoice.status === "pending" && invoice.providerInvoiceId) {
+        const status = await getPaymentProvider(invoice.provider).checkStatus(invoice.providerInvoiceId);
+        invoice = await applyProviderStatus(invoice.id, status);
+    }
+    return serializeInvoice(invoice);
+}
+
+export async function listTopUps(userId) {
+    const rows = await db.select().from(paymentInvoices).where(eq(paymentInvoices.userId, userId)).orderBy(desc(paymentInvoices.id));
+    return rows.map(serializeInvoice);
+}
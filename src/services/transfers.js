@@ -0,0 +1,43 @@
+import { db } from "../db/index.js";
+import { transactions } from "../db/schema.js";
+import { eq } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { postMovement } from "./ledger.js";
+
+// Approve or reject a pending transfer. The transfer row and both wallets are locked for the whole
+// transaction, so concurrent approvals cannot move the same money twice.
+export async function settleTransfer(transactionId, status, adminId) {
+    await db.transaction(async (tx) => {
+        const rows = await tx.select().from(transactions).where(eq(transactions.id, transactionId)).for("update");
+        const transfer = rows[0];
+
+        if (!transfer) {
+            throw new ServiceError(404, "Шилжүүлэг олдсонгүй");
+        }
+        if (transfer.status !== "pending") {
+            throw new ServiceError(400, "Зөвхөн хүлээгдэж буй шилжүүлгийг өөрчлөх боломжтой");
+        }
+
+        if (status === "completed") {
+            try {
+                await postMovement(tx, {
+                    legs: [
+                        { userId: transfer.senderId, direction: "debit", amount: transfer.amount },
+                        { userId: transfer.receiverId, direction: "credit", amount: transfer.amount },
+                    ],
+                    referenceType: "transaction",
+                    referenceId: transfer.id,
+                    memo: "Transfer",
+                    createdBy: adminId,
+                });
+            } catch (error) {
+                if (error instanceof ServiceError && error.status === 400) {
+                    throw new ServiceError(400, "Илгээгчийн үлдэгдэл хүрэлцэхгүй байна");
+                }
+                throw error;
+            }
+        }
+
+        await tx.update(transactions).set({ status }).where(eq(transactions.id, transfer.id));
+    });
+}
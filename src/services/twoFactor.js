@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import { db } from "../db/index.js";
+import { recoveryCodes, users } from "../db/schema.js";
+import { and, eq, isNull } from "drizzle-orm";
+import { ServiceError } from "../utils/errors.js";
+import { encryptSecret, decryptSecret } from "../utils/secretBox.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUrl } from "../utils/totp.js";
+import { revokeAllSessions } from "./sessions.js";
+
+const ISSUER = process.env.TOTP_ISSUER || "IQ Test";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+function hashCode(code) {
+    return crypto
+        .createHash("sha256")
+        .update(String(code).trim().toLowerCase().replace(/[^a-z0-9]/g, ""))
+        .digest("hex");
+}
+
+async function getUser(userId) {
+    const rows = await db.select().from(users).where(eq(users.id, userId));
+    if (rows.length === 0) {
+        throw new ServiceError(404, "Хэрэглэгч олдсонгүй");
+    }
+    return rows[0];
+}
+
+// 2FA is mandatory for admins and every other staff role, optional for regular users
+export function requiresTwoFactor(user) {
+    return Boolean(user.role) && user.role !== "user";
+}
+
+export function isTwoFactorEnabled(user) {
+    return Boolean(user.totpEnabledAt && user.totpSecret);
+}
+
+// Check a TOTP code and remember its step so the same code cannot be replayed
+async function checkTotp(user, code) {
+    const step = verifyTotp(decryptSecret(user.totpSecret), code, { afterStep: user.totpLastStep });
+    if (step === null) return false;
+    const update = await db
+        .update(users)
+        .set({ totpLastStep: step })
+        .where(and(eq(users.id, user.id), user.totpLastStep === null ? isNull(users.totpLastStep) : eq(users.totpLastStep, user.totpLastStep)));
+    return update[0].affectedRows === 1;
+}
+
+async function useRecoveryCode(userId, code) {
+    const update = await db
+        .update(recoveryCodes)
+        .set({ usedAt: new Date() })
+        .where(and(eq(recoveryCodes.userId, userId), eq(recoveryCodes.codeHash, hashCode(code)), isNull(recoveryCodes.usedAt)));
+    return update[0].affectedRows > 0;
+}
+
+// Replace the user's recovery codes. The plain codes are returned once and never stored.
+async function issueRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    await db.transaction(async (tx) => {
+        await tx.delete(recoveryCodes).where(eq(recoveryCodes.userId, userId));
+        await tx.insert(recoveryCodes).values(codes.map((code) => ({ userId, codeHash: hashCode(code) })));
+    });
+    return codes;
+}
+
+// Start enrollment: store a new (not yet active) secret and hand out the otpauth URI and a QR code of it
+export async function beginTotpSetup(userId) {
+    const user = await getUser(userId);
+    if (isTwoFactorEnabled(user)) {
+        throw new ServiceError(409, "Хоёр шатлалт баталгаажуулалт аль хэдийн идэвхтэй байна");
+    }
+
+    const secret = generateTotpSecret();
+    await db.update(users).set({ totpSecret: encryptSecret(secret), totpLastStep: null }).where(eq(users.id, userId));
+
+    const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.email, issuer: ISSUER });
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+// Finish enrollment with the first code from the authenticator app
+export async function enableTotp(userId, code) {
+    const user = await getUser(userId);
+    if (isTwoFactorEnabled(user)) {
+        throw new ServiceError(409, "Хоёр шатлалт баталгаажуулалт аль хэдийн идэвхтэй байна");
+    }
+    if (!user.totpSecret) {
+        throw new ServiceError(400, "Эхлээд баталгаажуулалтыг тохируулна уу");
+    }
+    if (!(await checkTotp(user, code))) {
+        throw new ServiceError(400, "Баталгаажуулах код буруу");
+    }
+
+    await db.update(users).set({ totpEnabledAt: new Date() }).where(eq(users.id, userId));
+    const codes = await issueRecoveryCodes(userId);
+    return { user: await getUser(userId), recoveryCodes: codes };
+}
+
+export async function disableTotp(userId, password, code) {
+    const user = await getUser(userId);
+    if (requiresTwoFactor(user)) {
+        throw new ServiceError(403, "Админ хэрэглэгч хоёр шатлалт баталгаажуулалтыг унтраах боломжгүй");
+    }
+    if (!isTwoFactorEnabled(user)) {
+        throw new ServiceError(400, "Хоёр шатлалт баталгаажуулалт идэвхгүй байна");
+    }
+    if (!(await bcrypt.compare(String(password || ""), user.password)) || !(await verifySecondFactor(user, { code }))) {
+        throw new ServiceError(400, "Нууц үг эсвэл код буруу");
+    }
+
+    await db.update(users).set({ totpSecret: null, totpEnabledAt: null, totpLastStep: null }).where(eq(users.id, userId));
+    await db.delete(recoveryCodes).where(eq(recoveryCodes.userId, userId));
+}
+
+// Admin reset for a user who lost both the authenticator and the recovery codes.
+// Their sessions are revoked; admins have to enroll again before using the admin API.
+export async function resetTwoFactor(userId) {
+    await getUser(userId);
+    await db.update(users).set({ totpSecret: null, totpEnabledAt: null, totpLastStep: null }).where(eq(users.id, userId));
+    await db.delete(recoveryCodes).where(eq(recoveryCodes.userId, userId));
+    await revokeAllSessions(userId);
+}
+
+export async function regenerateRecoveryCodes(userId, code) {
+    const user = await getUser(userId);
+    if (!isTwoFactorEnabled(user)) {
+        throw new ServiceError(400, "Хоёр шатлалт баталгаажуулалт идэвхгүй байна");
+    }
+    if (!(await checkTotp(user, code))) {
+        throw new ServiceError(400, "Баталгаажуулах код буруу");
+    }
+    return issueRecoveryCodes(userId);
+}
+
+export async function countRemainingRecoveryCodes(userId) {
+    const rows = await db
+        .select({ id: recoveryCodes.id })
+        .from(recoveryCodes)
+        .where(and(eq(recoveryCodes.userId, userId), isNull(recoveryCodes.usedAt)));
+    return rows.length;
+}
+
+// Second login step: a TOTP code, or one of the recovery codes
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (!isTwoFactorEnabled(user)) return false;
+    if (code) return checkTotp(user, code);
+    if (recoveryCode) return useRecoveryCode(user.id, recoveryCode);
+    return false;
+}
+
+// Short-lived token proving the password step passed. It is only accepted by POST /auth/login/2fa.
+export function createLoginChallenge(user) {
+    return jwt.sign({ id: user.id, purpose: "mfa_login", tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+export async function readLoginChallenge(token) {
+    let payload;
+    try {
+        payload = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+    } catch (error) {
+        payload = null;
+    }
+    if (!payload || payload.purpose !== "mfa_login") {
+        throw new ServiceError(401, "Нэвтрэх хугацаа дууссан. Дахин нэвтэрнэ үү");
+    }
+
+    const user = await getUser(payload.id);
+    if ((user.tokenVersion || 0) !== payload.tv) {
+        throw new ServiceError(401, "Нэвтрэх хугацаа дууссан. Дахин нэвтэрнэ үү");
+    }
+    return user;
+}
@@ -0,0 +1,8 @@
+// Error with an HTTP status code. Services throw it and the routes turn it into a JSON error response.
+export class ServiceError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "ServiceError";
+        this.status = status;
+    }
+}
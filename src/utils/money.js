@@ -0,0 +1,8 @@
+// Balances are DECIMAL(10,2). Arithmetic is done in integer cents to avoid floating point drift.
+export function toCents(value) {
+    return Math.round(parseFloat(value) * 100);
+}
+
+export function fromCents(cents) {
+    return (cents / 100).toFixed(2);
+}
@@ -0,0 +1,84 @@
+import { and, asc, desc, eq, gt, lt, or } from "drizzle-orm";
+import { ServiceError } from "./errors.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Parse ?page=&limit= into page, limit and the matching SQL offset
+export function parsePagination(query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+function encodeCursor(sortKey, value, id) {
+    return Buffer.from(JSON.stringify([sortKey, value instanceof Date ? value.toISOString() : value, id])).toString("base64url");
+}
+
+function decodeCursor(cursor, sortKey, column) {
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch (error) {
+        parsed = null;
+    }
+    // A cursor only continues the listing it came from
+    if (!Array.isArray(parsed) || parsed.length !== 3 || parsed[0] !== sortKey || !Number.isInteger(parsed[2])) {
+        throw new ServiceError(400, "cursor буруу байна");
+    }
+    const value = column.dataType === "date" && parsed[1] !== null ? new Date(parsed[1]) : parsed[1];
+    if (value === null || (value instanceof Date && isNaN(value.getTime()))) {
+        throw new ServiceError(400, "cursor буруу байна");
+    }
+    return { value, id: parsed[2] };
+}
+
+// List query contract shared by the list endpoints:
+//   ?limit=         page size
+//   ?page=          1-based page (offset pagination), or
+//   ?cursor=        nextCursor of the previous page (keyset pagination, stable while rows are added)
+//   ?sort=key|-key  one of the endpoint's sort keys, "-" for descending; ties are broken by id
+// sortable maps sort keys to columns; the selected rows must carry the sort value under the same key
+// and the id under "id". Sort columns are expected to be non-null. Returns the parsed options plus
+// `where` (the keyset condition, undefined in offset mode) and `orderBy` for the query.
+export function parseListQuery(query, { sortable, defaultSort, idColumn, defaultLimit, maxLimit }) {
+    const { page, limit, offset } = parsePagination(query, { defaultLimit, maxLimit });
+
+    const sortParam = String(query.sort || defaultSort);
+    const direction = sortParam.startsWith("-") ? "desc" : "asc";
+    const sortKey = sortParam.replace(/^-/, "");
+    if (!Object.hasOwn(sortable, sortKey)) {
+        throw new ServiceError(400, `sort нь ${Object.keys(sortable).join(", ")} байх ёстой`);
+    }
+    const column = sortable[sortKey];
+    const order = direction === "desc" ? desc : asc;
+    const orderBy = column === idColumn ? [order(idColumn)] : [order(column), order(idColumn)];
+    const sort = { key: sortKey, direction, token: sortParam };
+
+    if (!query.cursor) {
+        return { page, limit, offset, sort, where: undefined, orderBy };
+    }
+    const cursor = decodeCursor(query.cursor, sortParam, column);
+    const past = direction === "desc" ? lt : gt;
+    const where = column === idColumn ? past(idColumn, cursor.id) : or(past(column, cursor.value), and(eq(column, cursor.value), past(idColumn, cursor.id)));
+    return { page: null, limit, offset: 0, sort, where, orderBy };
+}
+
+// Response body for a page. rows are fetched with limit + 1 so that the extra row tells whether
+// there is a next page.
+export function pageResult(rows, list, total) {
+    const items = rows.slice(0, list.limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > list.limit && last ? encodeCursor(list.sort.token, last[list.sort.key], last.id) : null;
+    return { items, total: Number(total), page: list.page, limit: list.limit, nextCursor };
+}
+
+// Parse ?from=&to= into Dates (either may be missing)
+export function parseDateRange(query) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        throw new ServiceError(400, "Огноо буруу");
+    }
+    return { from, to };
+}
@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+// AES-256-GCM for small secrets stored in the database (TOTP seeds). The key comes from
+// SECRET_ENCRYPTION_KEY, falling back to JWT_SECRET so existing setups keep working.
+function key() {
+    return crypto
+        .createHash("sha256")
+        .update(process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+        .digest();
+}
+
+export function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+}
+
+export function decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload)
+        .split(".")
+        .map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps), the defaults
+// every authenticator app understands.
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+export function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+export function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function generateTotp(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Check a code against the current step and `window` steps either side to allow for clock drift.
+// Returns the matching step, or null. Steps up to `afterStep` are refused so a code works only once.
+export function verifyTotp(secret, code, { window = 1, afterStep = null } = {}) {
+    const normalized = String(code || "").replace(/\s+/g, "");
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = currentStep();
+    for (let step = now - window; step <= now + window; step++) {
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+export function buildOtpauthUrl({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = { secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS };
+    const query = Object.entries(params)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+        .join("&");
+    return `otpauth://totp/${label}?${query}`;
+}
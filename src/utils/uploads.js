@@ -0,0 +1,5 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const UPLOADS_ROOT = path.join(__dirname, "../../uploads");